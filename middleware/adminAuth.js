@@ -1,32 +1,19 @@
 // middleware/adminAuth.js
+const auth = require('./auth');
+
+// Admin access = a valid user JWT (checked by auth) + role 'admin' on the User document
 const adminAuth = (req, res, next) => {
-  try {
-    const token = req.header('Authorization');
-    
-    if (!token) {
-      return res.status(401).json({
+  auth(req, res, () => {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
         success: false,
-        message: 'No token, admin authorization denied'
+        message: 'Access denied. Admin rights required.'
       });
     }
 
-    // Simple token validation (you can make this more secure)
-    if (token.startsWith('admin_')) {
-      req.admin = { adminId: 'admin', role: 'admin' };
-      next();
-    } else {
-      res.status(401).json({
-        success: false,
-        message: 'Invalid admin token'
-      });
-    }
-  } catch (err) {
-    console.error('Admin auth middleware error:', err);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error'
-    });
-  }
+    req.admin = { adminId: req.user.userId, email: req.user.email, role: 'admin' };
+    next();
+  });
 };
 
 module.exports = adminAuth;
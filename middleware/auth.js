@@ -1,6 +1,7 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const auth = async (req, res, next) => {
   try {
@@ -17,34 +18,58 @@ const auth = async (req, res, next) => {
     // Remove 'Bearer ' from token
     const tokenWithoutBearer = token.replace('Bearer ', '');
 
+    // Verify token
+    let decoded;
     try {
-      // Verify token
-      const decoded = jwt.verify(tokenWithoutBearer, process.env.JWT_SECRET);
-      req.user = decoded;
-      
-      // Optional: Check if user still exists
-      const user = await User.findById(decoded.userId);
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
-      
-      next();
+      decoded = jwt.verify(tokenWithoutBearer, process.env.JWT_SECRET);
     } catch (err) {
-      res.status(401).json({
+      return res.status(401).json({
         success: false,
         message: 'Token is not valid'
       });
     }
+    req.user = decoded;
+
+    // Access tokens are bound to a server-side session that can be revoked
+    const session = decoded.sid ? await Session.findById(decoded.sid).select('userId revokedAt expiresAt') : null;
+    if (!session || !session.isActive() || session.userId.toString() !== decoded.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please login again.',
+        sessionRevoked: true
+      });
+    }
+
+    // Check if user still exists
+    const user = await User.findById(decoded.userId).select('email role isSuspended');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended. Please contact support.',
+        suspended: true
+      });
+    }
+
+    // Role comes from the database, never from the token
+    req.user.role = user.role;
+    req.user.email = user.email;
   } catch (err) {
     console.error('Auth middleware error:', err);
-    res.status(500).json({
+    return res.status(500).json({
       success: false,
       message: 'Server Error'
     });
   }
+
+  // Outside the try: errors thrown by later handlers must not be reported as auth failures
+  next();
 };
 
 module.exports = auth;
@@ -0,0 +1,29 @@
+// middleware/optionalAuth.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+// For public routes that add per-user details when a valid token is sent (e.g. isFavorited).
+// Sets req.user like auth does; a missing, invalid or revoked token, or a suspended account, just means anonymous.
+const optionalAuth = async (req, res, next) => {
+  const token = req.header('Authorization');
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token.replace('Bearer ', ''), process.env.JWT_SECRET);
+    const session = decoded.sid ? await Session.findById(decoded.sid).select('userId revokedAt expiresAt') : null;
+
+    if (session && session.isActive() && session.userId.toString() === decoded.userId) {
+      const user = await User.findById(decoded.userId).select('email role isSuspended');
+      if (user && !user.isSuspended) {
+        req.user = { ...decoded, role: user.role, email: user.email };
+      }
+    }
+  } catch (err) {
+    // Treat as anonymous
+  }
+
+  next();
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,56 @@
+// models/Asset.js
+const mongoose = require('mongoose');
+
+// A file uploaded by an admin and hosted by this server
+// - package: product ZIP, stored outside the public uploads folder and only served through download links
+// - image:   product image, served publicly from /uploads/images
+const assetSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['package', 'image'],
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Name on disk (random, never user supplied)
+  fileName: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // SHA-256 of the file contents (hex)
+  checksum: {
+    type: String,
+    required: true,
+    index: true
+  },
+  uploadedBy: {
+    type: String,
+    default: 'admin'
+  }
+}, {
+  timestamps: true
+});
+
+assetSchema.index({ kind: 1, createdAt: -1 });
+
+// Public URL for images (packages have none)
+assetSchema.virtual('url').get(function() {
+  return this.kind === 'image' ? `/uploads/images/${this.fileName}` : undefined;
+});
+
+assetSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Asset', assetSchema);
@@ -0,0 +1,222 @@
+// models/Category.js
+const mongoose = require('mongoose');
+
+const MAX_DEPTH = 3;
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [60, 'Category name cannot exceed 60 characters']
+  },
+  // Products store this slug in their `category` field
+  slug: {
+    type: String,
+    required: [true, 'Category slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // null = top-level category
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Emoji, icon name or image URL, up to the client
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Icon cannot exceed 200 characters']
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Inactive categories (and everything below them) are hidden from the public catalog
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+// The categories that used to be hardcoded in the Product and User schemas
+const DEFAULT_CATEGORIES = [
+  { name: 'Themes', slug: 'themes', icon: '🎨', sortOrder: 0 },
+  { name: 'Plugins', slug: 'plugins', icon: '🔌', sortOrder: 10 },
+  { name: 'Templates', slug: 'templates', icon: '📄', sortOrder: 20 },
+  { name: 'Graphics', slug: 'graphics', icon: '🖼️', sortOrder: 30 }
+];
+
+// In-memory copy of all categories so product validation and catalog filters
+// can resolve the hierarchy without a database round trip
+let categoryCache = DEFAULT_CATEGORIES.map(category => ({ ...category, parent: null, isActive: true }));
+let refreshTimer = null;
+
+const sortCategories = (a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name);
+
+categorySchema.statics.refreshCache = async function() {
+  const categories = await this.find().lean();
+  if (categories.length > 0) {
+    categoryCache = categories.sort(sortCategories);
+  }
+  return categoryCache;
+};
+
+// Seed the built-in categories (if missing) and load the cache; called once the DB is connected
+categorySchema.statics.initialize = async function() {
+  for (const category of DEFAULT_CATEGORIES) {
+    await this.updateOne({ slug: category.slug }, { $setOnInsert: category }, { upsert: true });
+  }
+
+  await this.refreshCache();
+  console.log(`🗂️  Loaded ${categoryCache.length} product categor${categoryCache.length === 1 ? 'y' : 'ies'}`);
+
+  // Pick up changes made by other instances
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      this.refreshCache().catch(error => console.error('❌ Category cache refresh failed:', error.message));
+    }, 5 * 60 * 1000);
+    refreshTimer.unref();
+  }
+};
+
+categorySchema.statics.getCachedCategories = function() {
+  return categoryCache;
+};
+
+categorySchema.statics.getCachedBySlug = function(slug) {
+  if (!slug) return null;
+  return categoryCache.find(category => category.slug === slug) || null;
+};
+
+const findCachedById = (id) => id
+  ? categoryCache.find(category => category._id && category._id.toString() === id.toString()) || null
+  : null;
+
+// [category, parent, grandparent, ...] starting from a slug; empty if unknown
+categorySchema.statics.getLineage = function(slug) {
+  const lineage = [];
+  let current = this.getCachedBySlug(slug);
+  while (current && lineage.length <= MAX_DEPTH) {
+    lineage.push(current);
+    current = findCachedById(current.parent);
+  }
+  return lineage;
+};
+
+// Whether `slug` is `ancestorSlug` or sits somewhere below it
+categorySchema.statics.isWithin = function(slug, ancestorSlug) {
+  return slug === ancestorSlug || this.getLineage(slug).some(category => category.slug === ancestorSlug);
+};
+
+// A category is publicly visible when it and all its ancestors are active
+categorySchema.statics.isVisible = function(slug) {
+  const lineage = this.getLineage(slug);
+  return lineage.length > 0 && lineage.every(category => category.isActive !== false);
+};
+
+// Slugs of a category and everything below it (for "filter by category including subcategories")
+categorySchema.statics.getDescendantSlugs = function(slug, { activeOnly = false } = {}) {
+  const root = this.getCachedBySlug(slug);
+  if (!root || (activeOnly && !this.isVisible(slug))) return [];
+
+  const slugs = [];
+  const queue = [root];
+  while (queue.length > 0) {
+    const category = queue.shift();
+    slugs.push(category.slug);
+    categoryCache
+      .filter(child => child.parent && category._id && child.parent.toString() === category._id.toString())
+      .filter(child => !activeOnly || child.isActive !== false)
+      .forEach(child => queue.push(child));
+  }
+  return slugs;
+};
+
+// Slugs of hidden categories (inactive themselves or below an inactive one)
+categorySchema.statics.getHiddenSlugs = function() {
+  return categoryCache.filter(category => !this.isVisible(category.slug)).map(category => category.slug);
+};
+
+// Nested tree of categories. counts: { [slug]: { products, downloads } } for each category's own products;
+// the tree adds totals that include subcategories.
+categorySchema.statics.buildTree = function({ includeInactive = false, counts = {} } = {}) {
+  const categories = categoryCache.filter(category => includeInactive || category.isActive !== false);
+
+  const build = (parentId) => categories
+    .filter(category => String(category.parent || '') === String(parentId || ''))
+    .sort(sortCategories)
+    .map(category => {
+      const children = build(category._id);
+      const own = counts[category.slug] || { products: 0, downloads: 0 };
+      return {
+        id: category._id,
+        name: category.name,
+        slug: category.slug,
+        description: category.description,
+        icon: category.icon,
+        sortOrder: category.sortOrder,
+        isActive: category.isActive !== false,
+        productCount: children.reduce((sum, child) => sum + child.productCount, own.products),
+        downloads: children.reduce((sum, child) => sum + child.downloads, own.downloads),
+        children
+      };
+    });
+
+  return build(null);
+};
+
+// Parent must exist, can't be the category itself or one of its descendants, and the tree stays shallow
+categorySchema.pre('validate', async function(next) {
+  try {
+    if (!this.parent || !(this.isNew || this.isModified('parent'))) return next();
+
+    if (this._id && this.parent.toString() === this._id.toString()) {
+      this.invalidate('parent', 'A category cannot be its own parent');
+      return next();
+    }
+
+    let depth = 1;
+    let current = await this.constructor.findById(this.parent).select('parent').lean();
+    if (!current) {
+      this.invalidate('parent', 'Parent category not found');
+      return next();
+    }
+    while (current) {
+      if (this._id && current._id.toString() === this._id.toString()) {
+        this.invalidate('parent', 'A category cannot be moved below one of its own subcategories');
+        return next();
+      }
+      depth++;
+      current = current.parent ? await this.constructor.findById(current.parent).select('parent').lean() : null;
+    }
+    // A moved category brings its subcategories along: add the levels below it
+    if (!this.isNew) {
+      let level = [this._id];
+      while (level.length > 0 && depth <= MAX_DEPTH) {
+        level = (await this.constructor.find({ parent: { $in: level } }).select('_id').lean()).map(child => child._id);
+        if (level.length > 0) depth++;
+      }
+    }
+    if (depth > MAX_DEPTH) {
+      this.invalidate('parent', `Categories can be nested at most ${MAX_DEPTH} levels deep`);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('Category', categorySchema);
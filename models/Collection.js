@@ -0,0 +1,88 @@
+// models/Collection.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const MAX_COLLECTIONS_PER_USER = parseInt(process.env.MAX_COLLECTIONS_PER_USER) || 50;
+const MAX_COLLECTION_ITEMS = parseInt(process.env.MAX_COLLECTION_ITEMS) || 200;
+
+// A user's named, ordered list of products (e.g. "Client X site"), optionally shared read-only
+const collectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [100, 'Collection name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  // Array order is the display order
+  items: {
+    type: [{
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    validate: {
+      validator: (items) => items.length <= MAX_COLLECTION_ITEMS,
+      message: `A collection can hold at most ${MAX_COLLECTION_ITEMS} products`
+    }
+  },
+  // Public read-only link; only set while sharing is on
+  shareToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  sharedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ userId: 1, updatedAt: -1 });
+
+collectionSchema.virtual('isShared').get(function() {
+  return Boolean(this.shareToken);
+});
+
+collectionSchema.methods.hasProduct = function(productId) {
+  return this.items.some(item => item.productId.toString() === productId.toString());
+};
+
+collectionSchema.methods.enableSharing = function() {
+  if (!this.shareToken) {
+    this.shareToken = crypto.randomBytes(18).toString('base64url');
+    this.sharedAt = new Date();
+  }
+  return this.shareToken;
+};
+
+collectionSchema.methods.disableSharing = function() {
+  this.shareToken = undefined;
+  this.sharedAt = undefined;
+};
+
+collectionSchema.statics.MAX_COLLECTIONS_PER_USER = MAX_COLLECTIONS_PER_USER;
+collectionSchema.statics.MAX_COLLECTION_ITEMS = MAX_COLLECTION_ITEMS;
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -14,6 +14,10 @@ const downloadSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Kept so history can still name the product after it is purged from the trash
+  productTitle: {
+    type: String
+  },
   downloadDate: {
     type: Date,
     default: Date.now,
@@ -27,7 +31,32 @@ const downloadSchema = new mongoose.Schema({
   },
   downloadUrl: {
     type: String
-  }
+  },
+  // Product release delivered by this download
+  version: {
+    type: String
+  },
+  downloadSource: {
+    type: String,
+    enum: ['web', 'api', 'mobile', 'chatbot'],
+    default: 'web'
+  },
+  // Current signed download link (see services/downloadLinks.js)
+  link: {
+    nonce: { type: String },
+    expiresAt: { type: Date },
+    redeemedAt: { type: Date }
+  },
+  // Every attempt to redeem a link for this download
+  redemptions: [{
+    redeemedAt: { type: Date, default: Date.now },
+    outcome: {
+      type: String,
+      enum: ['success', 'expired', 'reused']
+    },
+    ipAddress: { type: String },
+    userAgent: { type: String }
+  }]
 }, {
   timestamps: true
 });
@@ -36,4 +65,109 @@ const downloadSchema = new mongoose.Schema({
 downloadSchema.index({ userId: 1, downloadDate: -1 });
 downloadSchema.index({ productId: 1, downloadDate: -1 });
 
+const DATE_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V', // ISO week, e.g. 2025-W07
+  month: '%Y-%m'
+};
+
+// Static method to get download counts bucketed by day / week / month
+downloadSchema.statics.getTimeSeries = function(from, to, granularity = 'day') {
+  return this.aggregate([
+    { $match: { downloadDate: { $gte: from, $lte: to } } },
+    { $group: {
+        _id: { $dateToString: { format: DATE_FORMATS[granularity] || DATE_FORMATS.day, date: '$downloadDate' } },
+        downloads: { $sum: 1 },
+        users: { $addToSet: '$userId' }
+    }},
+    { $project: { _id: 0, period: '$_id', downloads: 1, uniqueUsers: { $size: '$users' } } },
+    { $sort: { period: 1 } }
+  ]);
+};
+
+// Static method to get the most downloaded products in a date range
+downloadSchema.statics.getTopProducts = function(from, to, limit = 10) {
+  return this.aggregate([
+    { $match: { downloadDate: { $gte: from, $lte: to } } },
+    { $group: { _id: '$productId', downloads: { $sum: 1 }, users: { $addToSet: '$userId' } } },
+    { $sort: { downloads: -1 } },
+    { $limit: limit },
+    { $lookup: {
+        from: 'products',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'product'
+    }},
+    { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+    { $project: {
+        _id: 0,
+        productId: '$_id',
+        title: { $ifNull: ['$product.title', 'Deleted product'] },
+        category: '$product.category',
+        imageUrl: '$product.imageUrl',
+        downloads: 1,
+        uniqueUsers: { $size: '$users' }
+    }}
+  ]);
+};
+
+// Distinct products each user downloaded since `since`, most recent first and capped at `maxPerUser`.
+// Returns a cursor of { _id: userId, products: [productId] } (used for co-download recommendations)
+downloadSchema.statics.getCoDownloadSets = function(since, maxPerUser = 50) {
+  return this.aggregate([
+    { $match: { downloadDate: { $gte: since } } },
+    { $group: { _id: { userId: '$userId', productId: '$productId' }, lastDownload: { $max: '$downloadDate' } } },
+    { $sort: { lastDownload: -1 } },
+    { $group: { _id: '$_id.userId', products: { $push: '$_id.productId' } } },
+    { $project: { products: { $slice: ['$products', maxPerUser] } } }
+  ]).allowDiskUse(true).cursor();
+};
+
+// Time-decayed download score per product: each user counts once (their latest download in the window),
+// weighted by exp(-ln2 * age / halfLife). Returns [{ _id: productId, score, users }]
+downloadSchema.statics.getDecayedScores = function(now, windowMs, halfLifeMs) {
+  return this.aggregate([
+    { $match: { downloadDate: { $gte: new Date(now.getTime() - windowMs), $lte: now } } },
+    { $group: { _id: { productId: '$productId', userId: '$userId' }, lastDownload: { $max: '$downloadDate' } } },
+    { $group: {
+        _id: '$_id.productId',
+        score: { $sum: { $exp: { $multiply: [-Math.LN2 / halfLifeMs, { $subtract: [now, '$lastDownload'] }] } } },
+        users: { $sum: 1 }
+    }}
+  ]).allowDiskUse(true);
+};
+
+// Static method to split downloads in a date range by product category
+downloadSchema.statics.getCategorySplit = function(from, to) {
+  return this.aggregate([
+    { $match: { downloadDate: { $gte: from, $lte: to } } },
+    // Group per product first so the lookup runs once per product, not per download
+    { $group: { _id: '$productId', downloads: { $sum: 1 } } },
+    { $lookup: {
+        from: 'products',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'product'
+    }},
+    { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+    { $group: { _id: { $ifNull: ['$product.category', 'unknown'] }, downloads: { $sum: '$downloads' } } },
+    { $project: { _id: 0, category: '$_id', downloads: 1 } },
+    { $sort: { downloads: -1 } }
+  ]);
+};
+
+// Static method to get download totals and distinct downloaders in a date range
+downloadSchema.statics.getRangeSummary = async function(from, to) {
+  const [summary] = await this.aggregate([
+    { $match: { downloadDate: { $gte: from, $lte: to } } },
+    { $group: { _id: '$userId', downloads: { $sum: 1 } } },
+    { $group: { _id: null, totalDownloads: { $sum: '$downloads' }, activeUsers: { $sum: 1 } } }
+  ]);
+
+  return {
+    totalDownloads: summary ? summary.totalDownloads : 0,
+    activeUsers: summary ? summary.activeUsers : 0
+  };
+};
+
 module.exports = mongoose.model('Download', downloadSchema);
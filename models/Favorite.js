@@ -0,0 +1,30 @@
+// models/Favorite.js
+const mongoose = require('mongoose');
+
+// A product a user saved for later (wishlist)
+const favoriteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+favoriteSchema.index({ userId: 1, productId: 1 }, { unique: true });
+favoriteSchema.index({ userId: 1, createdAt: -1 });
+
+// Set of product IDs (as strings) the user has favorited, out of `productIds`
+favoriteSchema.statics.favoritedIds = async function(userId, productIds) {
+  if (!userId || productIds.length === 0) return new Set();
+  const favorites = await this.find({ userId, productId: { $in: productIds } }).select('productId').lean();
+  return new Set(favorites.map(favorite => favorite.productId.toString()));
+};
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
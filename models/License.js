@@ -0,0 +1,113 @@
+// models/License.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Crockford base32: no I, L, O or U, so keys survive being read out or typed by hand
+const KEY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// One license key per user and product, issued on the first download of a product with licensing enabled.
+// Installed copies activate it for their domain through POST /api/licenses/verify.
+const licenseSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Kept so the license still has a name after the product is purged
+  productTitle: {
+    type: String
+  },
+  // Copied from product.licensing when issued; 0 = unlimited
+  maxActivations: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  activations: [{
+    _id: false,
+    domain: { type: String, required: true },
+    activatedAt: { type: Date, default: Date.now },
+    lastVerifiedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+licenseSchema.index({ userId: 1, productId: 1 }, { unique: true });
+
+// XXXXX-XXXXX-XXXXX-XXXXX (100 random bits)
+licenseSchema.statics.generateKey = function() {
+  const chars = [...crypto.randomBytes(20)].map(byte => KEY_ALPHABET[byte % 32]).join('');
+  return chars.match(/.{5}/g).join('-');
+};
+
+// User input -> stored form; case and surrounding spaces don't matter
+licenseSchema.statics.normalizeKey = function(key) {
+  return String(key || '').trim().toUpperCase();
+};
+
+// "https://www.Example.com:8080/shop" -> "example.com". Returns null for anything that isn't a hostname.
+licenseSchema.statics.normalizeDomain = function(domain) {
+  const host = String(domain || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .split(/[/?#]/)[0]
+    .replace(/:\d+$/, '')
+    .replace(/^www\./, '')
+    .replace(/\.$/, '');
+
+  if (!host || host.length > 253) return null;
+  if (host !== 'localhost' && !/^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/.test(host)) return null;
+  return host;
+};
+
+// The user's key for a product, created on first use
+licenseSchema.statics.issueFor = async function(user, product, { session } = {}) {
+  const existing = await this.findOne({ userId: user._id, productId: product._id }).session(session || null);
+  if (existing) return existing;
+
+  try {
+    const [license] = await this.create([{
+      key: this.generateKey(),
+      userId: user._id,
+      productId: product._id,
+      productTitle: product.title,
+      maxActivations: product.licensing?.maxActivations ?? 1
+    }], { session });
+    return license;
+  } catch (error) {
+    // A parallel download issued it first (possible when downloads run without a transaction)
+    if (error.code === 11000 && !session) {
+      const issued = await this.findOne({ userId: user._id, productId: product._id });
+      if (issued) return issued;
+    }
+    throw error;
+  }
+};
+
+licenseSchema.methods.hasActivation = function(domain) {
+  return this.activations.some(activation => activation.domain === domain);
+};
+
+// What download responses and the license list show
+licenseSchema.methods.summary = function() {
+  return {
+    key: this.key,
+    maxActivations: this.maxActivations,
+    activations: this.activations.map(({ domain, activatedAt, lastVerifiedAt }) => ({ domain, activatedAt, lastVerifiedAt })),
+    issuedAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('License', licenseSchema);
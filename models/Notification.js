@@ -0,0 +1,54 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+// In-app notifications shown to a user (e.g. a downloaded product got a new version)
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['product_update'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  // Type-specific details, e.g. { version, previousVersion }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+// Mark all of a user's unread notifications as read
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany(
+    { userId, readAt: { $exists: false } },
+    { $set: { readAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
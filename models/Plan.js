@@ -0,0 +1,168 @@
+// models/Plan.js
+const mongoose = require('mongoose');
+const Category = require('./Category');
+
+const planSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [50, 'Plan name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Plan slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  dailyLimit: {
+    type: Number,
+    required: [true, 'Daily limit is required'],
+    min: [1, 'Daily limit must be at least 1']
+  },
+  monthlyLimit: {
+    type: Number,
+    required: [true, 'Monthly limit is required'],
+    min: [1, 'Monthly limit must be at least 1']
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Price cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    trim: true
+  },
+  // Subscription length in days; null = never expires (free / lifetime plans)
+  durationDays: {
+    type: Number,
+    default: null,
+    min: [1, 'Duration must be at least 1 day']
+  },
+  // Empty = every category is included
+  allowedCategories: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  perks: [{
+    type: String,
+    trim: true
+  }],
+  // The plan users fall back to (new registrations, expired or cancelled subscriptions)
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+planSchema.index({ isActive: 1, sortOrder: 1 });
+
+// Built-in plans, matching the limits that used to be hardcoded in the User model
+const DEFAULT_PLANS = [
+  {
+    name: 'Free',
+    slug: 'free',
+    description: 'Free access to the catalog',
+    dailyLimit: 15,
+    monthlyLimit: 350,
+    price: 0,
+    durationDays: null,
+    isDefault: true,
+    sortOrder: 0
+  },
+  {
+    name: 'Premium',
+    slug: 'premium',
+    description: 'More monthly downloads',
+    dailyLimit: 15,
+    monthlyLimit: 500,
+    price: 0,
+    durationDays: 30,
+    sortOrder: 10
+  }
+];
+
+// In-memory copy of all plans so the (synchronous) quota methods on User
+// can read limits without a database round trip
+let planCache = DEFAULT_PLANS.map(plan => ({ ...plan, allowedCategories: [], perks: [], isActive: true }));
+let refreshTimer = null;
+
+planSchema.statics.refreshCache = async function() {
+  const plans = await this.find().sort({ sortOrder: 1, monthlyLimit: 1 }).lean();
+  if (plans.length > 0) {
+    planCache = plans;
+  }
+  return planCache;
+};
+
+// Seed the built-in plans (if missing) and load the cache; called once the DB is connected
+planSchema.statics.initialize = async function() {
+  for (const plan of DEFAULT_PLANS) {
+    await this.updateOne({ slug: plan.slug }, { $setOnInsert: plan }, { upsert: true });
+  }
+
+  await this.refreshCache();
+  console.log(`💳 Loaded ${planCache.length} subscription plan(s): ${planCache.map(p => p.slug).join(', ')}`);
+
+  // Pick up changes made by other instances
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      this.refreshCache().catch(error => console.error('❌ Plan cache refresh failed:', error.message));
+    }, 5 * 60 * 1000);
+    refreshTimer.unref();
+  }
+};
+
+planSchema.statics.getCachedPlans = function() {
+  return planCache;
+};
+
+planSchema.statics.getCachedById = function(planId) {
+  if (!planId) return null;
+  return planCache.find(plan => plan._id && plan._id.toString() === planId.toString()) || null;
+};
+
+planSchema.statics.getCachedBySlug = function(slug) {
+  if (!slug) return null;
+  return planCache.find(plan => plan.slug === slug) || null;
+};
+
+planSchema.statics.getDefaultPlan = function() {
+  return planCache.find(plan => plan.isDefault) || planCache.find(plan => plan.slug === 'free') || planCache[0];
+};
+
+// Cheapest active plan with a higher monthly limit than the given one (for upgrade hints)
+planSchema.statics.getUpgradeFor = function(plan) {
+  return planCache
+    .filter(candidate => candidate.isActive && candidate.slug !== plan.slug && candidate.monthlyLimit > plan.monthlyLimit)
+    .sort((a, b) => a.price - b.price || a.monthlyLimit - b.monthlyLimit)[0] || null;
+};
+
+// Works on cached (lean) plans as well as documents. Allowing a category allows its subcategories too.
+planSchema.statics.includesCategory = function(plan, category) {
+  if (!plan.allowedCategories || plan.allowedCategories.length === 0) return true;
+  return plan.allowedCategories.some(allowed => Category.isWithin(category, allowed));
+};
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -1,5 +1,87 @@
 // models/Product.js
 const mongoose = require('mongoose');
+const Category = require('./Category');
+
+const VERSION_PATTERN = /^\d+(\.\d+){0,3}([-+][0-9A-Za-z.-]+)?$/;
+const LICENSE_TYPES = ['gpl', 'regular', 'extended', 'mit', 'proprietary'];
+
+// Publishing workflow (transitions are in services/productWorkflow.js).
+// Scheduled and published products are public between publishAt and unpublishAt.
+const PRODUCT_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+const LIVE_STATUSES = ['scheduled', 'published'];
+
+// "Hello Wörld Theme!" -> "hello-world-theme"
+const slugify = (value) => String(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80)
+  .replace(/-+$/, '');
+
+// "6.4.2" -> 6004002, so versions can be compared in queries (major.minor.patch, up to 999 each)
+const versionToNumber = (version) => {
+  const match = String(version || '').match(/^(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  if (!match) return null;
+  return [1, 2, 3].reduce((total, i) => total * 1000 + Math.min(parseInt(match[i] || 0), 999), 0);
+};
+
+// { min, max } version range (e.g. WordPress 5.8 - 6.5, PHP 7.4 - 8.3)
+const versionRange = (label) => ({
+  min: {
+    type: String,
+    trim: true,
+    match: [VERSION_PATTERN, `Please provide a valid minimum ${label} version`]
+  },
+  max: {
+    type: String,
+    trim: true,
+    match: [VERSION_PATTERN, `Please provide a valid maximum ${label} version`]
+  }
+});
+
+// One published version of a product's file
+const releaseSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: [true, 'Release version is required'],
+    trim: true,
+    match: [VERSION_PATTERN, 'Please provide a valid version (e.g. 1.2.0)']
+  },
+  // Markdown
+  releaseNotes: {
+    type: String,
+    trim: true,
+    maxlength: [10000, 'Release notes cannot exceed 10000 characters']
+  },
+  downloadUrl: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || /^https?:\/\/.+/i.test(v);
+      },
+      message: 'Please provide a valid download URL'
+    }
+  },
+  packageAsset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset'
+  },
+  releasedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Withdrawn releases stay in the changelog but can no longer be downloaded
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    default: 'admin'
+  }
+});
 
 const productSchema = new mongoose.Schema({
   title: {
@@ -8,18 +90,108 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
+  // SEO-friendly unique identifier, generated from the title when not provided
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true,
+    maxlength: [80, 'Slug cannot exceed 80 characters'],
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  // Markdown
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [20000, 'Description cannot exceed 20000 characters']
+  },
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [40, 'Tags cannot exceed 40 characters']
+    }],
+    validate: {
+      validator: function(v) {
+        return v.length <= 20;
+      },
+      message: 'A product can have at most 20 tags'
+    }
+  },
+  version: {
+    type: String,
+    trim: true,
+    default: '1.0.0',
+    match: [VERSION_PATTERN, 'Please provide a valid version (e.g. 1.2.0)']
+  },
+  compatibility: {
+    wordpress: versionRange('WordPress'),
+    php: versionRange('PHP')
+  },
+  author: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Author name cannot exceed 100 characters']
+    },
+    url: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return !v || /^https?:\/\/.+/i.test(v);
+        },
+        message: 'Please provide a valid author URL'
+      }
+    }
+  },
+  // Numeric copies of the compatibility range for search filters (see versionToNumber)
+  compatibilityKeys: {
+    wordpressMin: Number,
+    wordpressMax: Number,
+    phpMin: Number,
+    phpMax: Number
+  },
+  licenseType: {
+    type: String,
+    enum: {
+      values: LICENSE_TYPES,
+      message: `License type must be one of: ${LICENSE_TYPES.join(', ')}`
+    },
+    default: 'gpl'
+  },
+  // Issue a license key with each download (see models/License.js)
+  licensing: {
+    enabled: { type: Boolean, default: false },
+    // Domains one key can be activated on; 0 = unlimited
+    maxActivations: {
+      type: Number,
+      default: 1,
+      min: [0, 'Max activations cannot be negative'],
+      validate: { validator: Number.isInteger, message: 'Max activations must be a whole number' }
+    }
+  },
+  // Slug of a Category (any level of the hierarchy)
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: ['themes', 'plugins'],
-    default: 'themes'
+    lowercase: true,
+    trim: true,
+    default: 'themes',
+    validate: {
+      validator: (value) => Boolean(Category.getCachedBySlug(value)),
+      message: (props) => `Unknown category "${props.value}"`
+    }
   },
   imageUrl: {
     type: String,
     required: [true, 'Image URL is required'],
     validate: {
       validator: function(v) {
-        return /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)(\?.*)?$/i.test(v);
+        // External image, or one hosted in /uploads/images (see imageAsset)
+        return /^(https?:\/\/.+|\/uploads\/images\/[\w.-]+)\.(jpg|jpeg|png|gif|webp)(\?.*)?$/i.test(v);
       },
       message: 'Please provide a valid image URL (jpg, jpeg, png, gif, webp)'
     }
@@ -34,9 +206,10 @@ const productSchema = new mongoose.Schema({
       message: 'Please provide a valid preview URL'
     }
   },
+  // External file location; not needed when the package is hosted here (packageAsset)
   downloadUrl: {
     type: String,
-    required: [true, 'Download URL is required'],
+    required: [function() { return !this.packageAsset; }, 'Download URL or an uploaded package is required'],
     validate: {
       validator: function(v) {
         return /^https?:\/\/.+/i.test(v);
@@ -44,14 +217,81 @@ const productSchema = new mongoose.Schema({
       message: 'Please provide a valid download URL'
     }
   },
+  // Release history; `version`, `downloadUrl` and `packageAsset` above describe the current release
+  releases: [releaseSchema],
+  // Files uploaded through /api/uploads
+  packageAsset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset'
+  },
+  imageAsset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset'
+  },
   downloads: {
     type: Number,
     default: 0
   },
+  // Time-decayed popularity per window, refreshed by services/trending.js
+  trending: {
+    h24: { type: Number, default: 0 },
+    d7: { type: Number, default: 0 },
+    d30: { type: Number, default: 0 },
+    updatedAt: { type: Date }
+  },
+  // Result of the last external URL check (services/linkChecker.js)
+  linkHealth: {
+    status: { type: String, enum: ['unchecked', 'ok', 'failing', 'broken'], default: 'unchecked' },
+    checkedAt: { type: Date },
+    // Consecutive checks in which at least one URL failed
+    failureStreak: { type: Number, default: 0 },
+    failingSince: { type: Date },
+    // What the checker did once the streak reached the threshold
+    action: { type: String, enum: ['flagged', 'deactivated'], default: null },
+    links: [{
+      _id: false,
+      field: { type: String, enum: ['downloadUrl', 'previewUrl', 'imageUrl'] },
+      ok: { type: Boolean },
+      statusCode: { type: Number },
+      error: { type: String }
+    }]
+  },
+  // Aggregated from visible reviews (Review.updateProductRating)
+  rating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
+  },
+  // Derived from status: true while the product is scheduled or published
   isActive: {
     type: Boolean,
     default: true
   },
+  // No schema default so documents from before the workflow aren't read as drafts (see backfillStatuses)
+  status: {
+    type: String,
+    enum: {
+      values: PRODUCT_STATUSES,
+      message: 'Status must be one of: ' + PRODUCT_STATUSES.join(', ')
+    }
+  },
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
+  // Audit trail of status and schedule changes
+  statusHistory: [{
+    from: { type: String },
+    to: { type: String, required: true },
+    changedBy: { type: String, default: 'admin' },
+    changedAt: { type: Date, default: Date.now },
+    note: { type: String, trim: true, maxlength: [500, 'Note cannot exceed 500 characters'] },
+    publishAt: { type: Date },
+    unpublishAt: { type: Date }
+  }],
   featured: {
     type: Boolean,
     default: false
@@ -60,6 +300,14 @@ const productSchema = new mongoose.Schema({
   createdBy: {
     type: String,
     default: 'admin'
+  },
+  // Trash: set when an admin deletes the product (see services/productTrash.js)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: String
   }
 }, {
   timestamps: true
@@ -67,7 +315,311 @@ const productSchema = new mongoose.Schema({
 
 // Indexes for better performance
 productSchema.index({ category: 1, isActive: 1 });
+productSchema.index({ tags: 1 });
+productSchema.index(
+  { title: 'text', tags: 'text', description: 'text', 'author.name': 'text' },
+  { name: 'product_text_search', weights: { title: 10, tags: 5, 'author.name': 3, description: 1 } }
+);
 productSchema.index({ createdAt: -1 });
+productSchema.index({ deletedAt: 1 });
+productSchema.index({ status: 1, publishAt: 1, unpublishAt: 1 });
+productSchema.index({ 'rating.average': -1, 'rating.count': -1 });
+productSchema.index({ 'trending.d7': -1 });
+productSchema.index({ 'linkHealth.status': 1, 'linkHealth.failureStreak': -1 });
 productSchema.index({ featured: 1, isActive: 1 });
 
+// Products (trashed ones included: they can be restored) that use an uploaded Asset,
+// as the current package, the image, or the package of an older release
+productSchema.statics.countAssetUsage = function(assetId) {
+  return this.countDocuments({
+    $or: [{ packageAsset: assetId }, { imageAsset: assetId }, { 'releases.packageAsset': assetId }]
+  }).setOptions({ withDeleted: true });
+};
+
+// Find a free slug for a title: "my-theme", then "my-theme-2", "my-theme-3", ...
+productSchema.statics.generateUniqueSlug = async function(title, excludeId) {
+  const base = slugify(title) || 'product';
+  let candidate = base;
+
+  for (let suffix = 2; ; suffix++) {
+    const query = { slug: candidate };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    // Trashed products keep their slug until they are purged
+    if (!(await this.exists(query).setOptions({ withDeleted: true }))) return candidate;
+    candidate = `${base.slice(0, 76)}-${suffix}`;
+  }
+};
+
+// Normalise tags (dedupe, drop empties) and fill in the slug before validation
+productSchema.pre('validate', async function(next) {
+  try {
+    if (this.isModified('tags')) {
+      this.tags = [...new Set(this.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+    if (this.isNew || this.isModified('compatibility')) {
+      const compatibility = this.compatibility || {};
+      this.compatibilityKeys = {
+        wordpressMin: versionToNumber(compatibility.wordpress?.min),
+        wordpressMax: versionToNumber(compatibility.wordpress?.max),
+        phpMin: versionToNumber(compatibility.php?.min),
+        phpMax: versionToNumber(compatibility.php?.max)
+      };
+    }
+    if (!this.slug && this.title) {
+      this.slug = await this.constructor.generateUniqueSlug(this.title, this._id);
+    }
+    if (!this.status) {
+      this.status = this.isNew ? 'draft' : (this.isActive ? 'published' : 'archived');
+    }
+    this.isActive = LIVE_STATUSES.includes(this.status);
+    // New URLs get a fresh check instead of inheriting the old failure streak
+    if (!this.isNew && ['downloadUrl', 'previewUrl', 'imageUrl'].some(path => this.isModified(path))) {
+      this.linkHealth = { status: 'unchecked', failureStreak: 0, action: null, links: [] };
+    }
+    // Keep the release history in step with the current file
+    if (this.isNew || this.isModified('version') || this.isModified('downloadUrl') || this.isModified('packageAsset')) {
+      this.syncCurrentRelease();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Optional metadata accepted on create, update and import
+// tags: array or comma separated string; author: { name, url } or a plain name;
+// compatibility: { wordpress: { min, max }, php: { min, max } }
+productSchema.methods.applyMetadata = function(body) {
+  const { slug, description, tags, version, compatibility, author, licenseType, licensing } = body;
+
+  if (typeof slug !== 'undefined') {
+    // Empty slug = regenerate from the title
+    this.slug = slug ? slugify(slug) : undefined;
+  }
+  if (typeof description !== 'undefined') this.description = description;
+  if (typeof tags !== 'undefined') {
+    this.tags = Array.isArray(tags) ? tags.map(String) : String(tags || '').split(',');
+  }
+  if (version) this.version = String(version).trim();
+  if (licenseType) this.licenseType = String(licenseType).toLowerCase();
+
+  if (compatibility && typeof compatibility === 'object') {
+    ['wordpress', 'php'].forEach(platform => {
+      ['min', 'max'].forEach(bound => {
+        const value = compatibility[platform]?.[bound];
+        if (typeof value !== 'undefined') {
+          this.set(`compatibility.${platform}.${bound}`, value ? String(value).trim() : undefined);
+        }
+      });
+    });
+  }
+
+  if (licensing && typeof licensing === 'object') {
+    if (typeof licensing.enabled !== 'undefined') this.set('licensing.enabled', Boolean(licensing.enabled));
+    if (typeof licensing.maxActivations !== 'undefined') this.set('licensing.maxActivations', Number(licensing.maxActivations));
+  }
+
+  if (typeof author === 'string') {
+    this.set('author', { name: author.trim() });
+  } else if (author && typeof author === 'object') {
+    if (typeof author.name !== 'undefined') this.set('author.name', author.name);
+    if (typeof author.url !== 'undefined') this.set('author.url', author.url || undefined);
+  }
+};
+
+// Remember the file a document was loaded with (see syncCurrentRelease)
+productSchema.post('init', function() {
+  this.$locals.loadedRelease = {
+    version: this.version || '1.0.0',
+    downloadUrl: this.downloadUrl,
+    packageAsset: this.packageAsset
+  };
+});
+
+// Record the current version/file as a release (updates the release with the same version)
+productSchema.methods.syncCurrentRelease = function() {
+  if (!this.version || (!this.downloadUrl && !this.packageAsset)) return;
+
+  // Product saved before releases existed: keep its original file as the first release
+  const loaded = this.$locals.loadedRelease;
+  if (this.releases.length === 0 && loaded && (loaded.downloadUrl || loaded.packageAsset) && loaded.version !== this.version) {
+    this.releases.push({ ...loaded, releasedAt: this.createdAt || new Date(), createdBy: this.createdBy });
+  }
+
+  const release = this.releases.find(r => r.version === this.version);
+  if (release) {
+    release.downloadUrl = this.downloadUrl;
+    release.packageAsset = this.packageAsset;
+    release.isAvailable = true;
+  } else {
+    this.releases.push({
+      version: this.version,
+      downloadUrl: this.downloadUrl,
+      packageAsset: this.packageAsset,
+      releasedAt: this.isNew ? (this.createdAt || new Date()) : new Date(),
+      createdBy: this.createdBy
+    });
+  }
+};
+
+// Releases, newest version first. Products saved before releases existed get one
+// synthetic entry for their current file.
+productSchema.methods.getReleases = function() {
+  const releases = this.releases && this.releases.length > 0
+    ? this.releases.slice()
+    : [{ version: this.version || '1.0.0', downloadUrl: this.downloadUrl, packageAsset: this.packageAsset, releasedAt: this.createdAt, isAvailable: true }];
+
+  return releases.sort((a, b) =>
+    (versionToNumber(b.version) || 0) - (versionToNumber(a.version) || 0) || new Date(b.releasedAt) - new Date(a.releasedAt)
+  );
+};
+
+// The release to deliver for a download (current when no version is requested); null if unavailable
+productSchema.methods.findRelease = function(version) {
+  const target = version || this.version || '1.0.0';
+  const release = this.getReleases().find(r => r.version === target);
+  return release && release.isAvailable !== false && (release.downloadUrl || release.packageAsset) ? release : null;
+};
+
+// Give products created before slugs existed one (called on startup)
+productSchema.statics.backfillSlugs = async function() {
+  const products = await this.find({ slug: { $exists: false } }).select('title');
+  for (const product of products) {
+    product.slug = await this.generateUniqueSlug(product.title, product._id);
+    await product.save({ validateBeforeSave: false });
+  }
+  if (products.length > 0) {
+    console.log(`🔗 Generated slugs for ${products.length} product(s)`);
+  }
+};
+
+// Products from before the publishing workflow: active -> published, inactive -> archived (called on startup)
+productSchema.statics.backfillStatuses = async function() {
+  const [published, archived] = await Promise.all([
+    this.updateMany({ status: { $exists: false }, isActive: { $ne: false } }, { $set: { status: 'published' } }),
+    this.updateMany({ status: { $exists: false }, isActive: false }, { $set: { status: 'archived' } })
+  ]);
+  const total = published.modifiedCount + archived.modifiedCount;
+  if (total > 0) {
+    console.log(`📋 Set publishing status for ${total} product(s)`);
+  }
+};
+
+// Filter for products the public may see right now (status plus publishAt/unpublishAt window).
+// Every public route, the chatbot and downloads build their queries from this.
+productSchema.statics.publicFilter = function(now = new Date()) {
+  const conditions = [
+    { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+    { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+  ];
+  const hiddenCategories = Category.getHiddenSlugs();
+  if (hiddenCategories.length > 0) {
+    conditions.push({ category: { $nin: hiddenCategories } });
+  }
+
+  return {
+    status: { $in: LIVE_STATUSES },
+    $and: conditions
+  };
+};
+
+// Own product count and downloads per category slug, e.g. { themes: { products: 4, downloads: 120 } }
+productSchema.statics.countByCategory = async function(filter = {}) {
+  const rows = await this.aggregate([
+    { $match: { deletedAt: null, ...filter } },
+    { $group: { _id: '$category', products: { $sum: 1 }, downloads: { $sum: '$downloads' } } }
+  ]);
+  return rows.reduce((counts, row) => {
+    counts[row._id] = { products: row.products, downloads: row.downloads };
+    return counts;
+  }, {});
+};
+
+productSchema.methods.isPubliclyVisible = function(now = new Date()) {
+  return LIVE_STATUSES.includes(this.status) &&
+    !this.deletedAt &&
+    Category.isVisible(this.category) &&
+    (!this.publishAt || this.publishAt <= now) &&
+    (!this.unpublishAt || this.unpublishAt > now);
+};
+
+// Catalog search: one aggregation returning a page of results plus facet counts.
+// options: { text, filter, sort ('relevance' | 'downloads' | 'rating' | 'newest' | 'title'), skip, limit, tagFacetLimit }
+productSchema.statics.searchCatalog = async function({ text, filter = {}, sort = 'relevance', skip = 0, limit = 12, tagFacetLimit = 30 }) {
+  // $text has to be the first stage of the pipeline
+  const match = text
+    ? { $text: { $search: text }, deletedAt: null, ...filter }
+    : { deletedAt: null, ...filter };
+
+  const sortStages = {
+    relevance: text
+      ? { score: -1, downloads: -1, _id: 1 }
+      : { featured: -1, downloads: -1, _id: 1 },
+    downloads: { downloads: -1, _id: 1 },
+    rating: { 'rating.average': -1, 'rating.count': -1, _id: 1 },
+    newest: { createdAt: -1, _id: 1 },
+    title: { title: 1, _id: 1 }
+  };
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    ...(text ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    { $facet: {
+        results: [
+          { $sort: sortStages[sort] || sortStages.relevance },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { downloadUrl: 0, releases: 0, compatibilityKeys: 0, statusHistory: 0, linkHealth: 0, __v: 0 } }
+        ],
+        total: [{ $count: 'count' }],
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $project: { _id: 0, category: '$_id', count: 1 } },
+          { $sort: { count: -1, category: 1 } }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $project: { _id: 0, tag: '$_id', count: 1 } },
+          { $sort: { count: -1, tag: 1 } },
+          { $limit: tagFacetLimit }
+        ]
+    }}
+  ]);
+
+  return {
+    products: result.results,
+    total: result.total[0] ? result.total[0].count : 0,
+    facets: {
+      categories: result.categories,
+      tags: result.tags
+    }
+  };
+};
+
+// Trashed products are hidden from every find/count unless the query filters on
+// deletedAt itself or sets the `withDeleted` option. Aggregations must match { deletedAt: null }.
+productSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments'], function() {
+  if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+});
+
+productSchema.methods.moveToTrash = function(deletedBy = 'admin') {
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+  return this.save({ validateBeforeSave: false });
+};
+
+productSchema.methods.restoreFromTrash = function() {
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+  return this.save();
+};
+
+productSchema.statics.versionToNumber = versionToNumber;
+productSchema.statics.slugify = slugify;
+productSchema.statics.LICENSE_TYPES = LICENSE_TYPES;
+productSchema.statics.PRODUCT_STATUSES = PRODUCT_STATUSES;
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,32 @@
+// models/RelatedProducts.js
+const mongoose = require('mongoose');
+
+// Precomputed "related products" for one product (services/recommendations.js rebuilds these periodically)
+const relatedProductsSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    unique: true
+  },
+  // Best match first
+  related: [{
+    _id: false,
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    score: { type: Number, required: true },
+    // Users who downloaded both products
+    coDownloads: { type: Number, default: 0 },
+    // Why it matched: 'downloaded_together', 'shared_tags', 'same_category'
+    reasons: [{ type: String }]
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('RelatedProducts', relatedProductsSchema);
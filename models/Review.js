@@ -0,0 +1,98 @@
+// models/Review.js
+const mongoose = require('mongoose');
+const Product = require('./Product');
+
+// A user's rating and review of a product they downloaded. One review per user and product.
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [120, 'Review title cannot exceed 120 characters']
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Review cannot exceed 5000 characters']
+  },
+  // Version of the product the reviewer last downloaded
+  version: {
+    type: String
+  },
+  // Moderation: hidden reviews don't count towards the product rating
+  status: {
+    type: String,
+    enum: ['visible', 'hidden'],
+    default: 'visible'
+  },
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  moderation: {
+    note: { type: String, trim: true, maxlength: [500, 'Moderation note cannot exceed 500 characters'] },
+    moderatedBy: { type: String },
+    moderatedAt: { type: Date }
+  },
+  editedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ productId: 1, status: 1, rating: -1 });
+reviewSchema.index({ flagged: 1, status: 1 });
+
+// Recompute the product's average rating and count from its visible reviews
+reviewSchema.statics.updateProductRating = async function(productId) {
+  const [stats] = await this.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'visible' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = {
+    average: stats ? Math.round(stats.average * 10) / 10 : 0,
+    count: stats ? stats.count : 0
+  };
+
+  await Product.updateOne({ _id: productId }, { $set: { rating } });
+  return rating;
+};
+
+// Visible review count per star (1-5) for a product
+reviewSchema.statics.getRatingBreakdown = async function(productId) {
+  const counts = await this.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'visible' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  return [5, 4, 3, 2, 1].reduce((breakdown, stars) => {
+    const entry = counts.find(c => c._id === stars);
+    breakdown[stars] = entry ? entry.count : 0;
+    return breakdown;
+  }, {});
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
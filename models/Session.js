@@ -0,0 +1,121 @@
+// models/Session.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Only the hash of the current refresh token secret is stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected', 'password_reset', 'admin']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Generate a new refresh token secret for this session (rotation)
+// Returns the token in "<sessionId>.<secret>" form; only the secret's hash is persisted
+sessionSchema.methods.rotateRefreshToken = async function() {
+  const secret = crypto.randomBytes(48).toString('hex');
+  this.refreshTokenHash = hashToken(secret);
+  this.expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  this.lastUsedAt = new Date();
+  if (!this.isNew) {
+    this.rotationCount = (this.rotationCount || 0) + 1;
+  }
+  await this.save();
+  return `${this._id}.${secret}`;
+};
+
+sessionSchema.methods.matchesRefreshSecret = function(secret) {
+  const provided = Buffer.from(hashToken(secret), 'hex');
+  const stored = Buffer.from(this.refreshTokenHash, 'hex');
+  return provided.length === stored.length && crypto.timingSafeEqual(provided, stored);
+};
+
+sessionSchema.methods.revoke = async function(reason = 'logout') {
+  if (this.revokedAt) return this;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+  return this;
+};
+
+// Start a new session for a user and return its first refresh token
+sessionSchema.statics.createForUser = async function(userId, meta = {}) {
+  const session = new this({
+    userId,
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(),
+    ipAddress: meta.ipAddress,
+    userAgent: meta.userAgent
+  });
+  const refreshToken = await session.rotateRefreshToken();
+  return { session, refreshToken };
+};
+
+// Split a "<sessionId>.<secret>" refresh token; returns null when malformed
+sessionSchema.statics.parseRefreshToken = function(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Revoke every active session of a user (logout everywhere, password reset, admin action)
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'logout_all') {
+  const result = await this.updateMany(
+    { userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`🔒 Revoked ${result.modifiedCount} session(s) for user ${userId} (${reason})`);
+  }
+
+  return result;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
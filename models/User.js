@@ -1,6 +1,8 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const Plan = require('./Plan');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -28,21 +30,75 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin'],
     default: 'user'
   },
+  // Slug of the user's plan, kept in sync with `plan` (see assignPlan)
   subscription: {
     type: String,
-    enum: ['free', 'premium'],
+    lowercase: true,
+    trim: true,
     default: 'free'
   },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan'
+  },
   isVerified: {
     type: Boolean,
     default: false
   },
+
+  // Account suspension (set by admins)
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: {
+    type: Date
+  },
+  suspendedReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Registration OTP (stored as an HMAC, never in plaintext)
   otp: {
     type: String
   },
   otpExpiry: {
     type: Date
   },
+  otpAttempts: {
+    type: Number,
+    default: 0
+  },
+  otpLastSentAt: {
+    type: Date
+  },
+  otpSendCount: {
+    type: Number,
+    default: 0
+  },
+  otpSendWindowStart: {
+    type: Date
+  },
+  otpDeliveredTo: {
+    type: String,
+    enum: ['user', 'admin']
+  },
+
+  // Password reset (only the SHA-256 hash of the emailed token is stored)
+  resetPasswordToken: {
+    type: String
+  },
+  resetPasswordExpiry: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
   
   // Enhanced download tracking with 24-hour auto reset
   dailyDownloads: { 
@@ -72,7 +128,7 @@ const userSchema = new mongoose.Schema({
     min: [0, 'Total downloads cannot be negative']
   },
   
-  // Premium subscription tracking
+  // Paid plan tracking (applies to any non-default plan; no expiry = lifetime)
   premiumExpiry: {
     type: Date
   },
@@ -103,9 +159,9 @@ const userSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // Category slug at download time (see models/Category.js)
     productCategory: {
       type: String,
-      enum: ['themes', 'plugins', 'templates', 'graphics'],
       required: true
     },
     downloadedAt: { 
@@ -114,7 +170,7 @@ const userSchema = new mongoose.Schema({
     },
     downloadSource: { 
       type: String, 
-      enum: ['web', 'api', 'mobile'],
+      enum: ['web', 'api', 'mobile', 'chatbot'],
       default: 'web' 
     },
     ipAddress: {
@@ -135,10 +191,6 @@ const userSchema = new mongoose.Schema({
   // Download statistics
   downloadStats: {
     totalDownloads: { type: Number, default: 0 },
-    themesDownloaded: { type: Number, default: 0 },
-    pluginsDownloaded: { type: Number, default: 0 },
-    templatesDownloaded: { type: Number, default: 0 },
-    graphicsDownloaded: { type: Number, default: 0 },
     averageDownloadsPerDay: { type: Number, default: 0 },
     mostActiveDay: String,
     lastStatsUpdate: { type: Date, default: Date.now }
@@ -150,7 +202,10 @@ const userSchema = new mongoose.Schema({
 // Indexes for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ isVerified: 1 });
+userSchema.index({ isVerified: 1, otpDeliveredTo: 1, createdAt: -1 });
 userSchema.index({ subscription: 1 });
+userSchema.index({ role: 1, createdAt: -1 });
+userSchema.index({ isSuspended: 1 });
 userSchema.index({ dailyDownloadDate: 1 });
 userSchema.index({ monthlyDownloadMonth: 1 });
 userSchema.index({ premiumExpiry: 1 });
@@ -186,6 +241,58 @@ userSchema.methods.comparePassword = async function(password) {
   }
 };
 
+const hashOTP = (otp) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || 'otp')
+  .update(String(otp).trim())
+  .digest('hex');
+
+// Store a new OTP (hashed) and reset the failed attempt counter
+userSchema.methods.setOTP = function(otp, expiryMinutes = 10) {
+  const now = new Date();
+  this.otp = hashOTP(otp);
+  this.otpExpiry = new Date(now.getTime() + expiryMinutes * 60 * 1000);
+  this.otpAttempts = 0;
+  this.otpLastSentAt = now;
+
+  // Count sends inside a rolling one-hour window (used for resend cooldowns)
+  if (!this.otpSendWindowStart || now - this.otpSendWindowStart > 60 * 60 * 1000) {
+    this.otpSendWindowStart = now;
+    this.otpSendCount = 0;
+  }
+  this.otpSendCount = (this.otpSendCount || 0) + 1;
+};
+
+// Compare a provided OTP against the stored hash
+userSchema.methods.compareOTP = function(otp) {
+  if (!this.otp || !otp) return false;
+  const provided = Buffer.from(hashOTP(otp), 'hex');
+  const stored = Buffer.from(this.otp, 'hex');
+  return provided.length === stored.length && crypto.timingSafeEqual(provided, stored);
+};
+
+userSchema.methods.clearOTP = function() {
+  this.otp = undefined;
+  this.otpExpiry = undefined;
+  this.otpAttempts = 0;
+};
+
+// Create a single-use password reset token, returns the raw token to be emailed
+userSchema.methods.createPasswordResetToken = function(expiryMinutes = 60) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpiry = new Date(Date.now() + expiryMinutes * 60 * 1000);
+  return resetToken;
+};
+
+// Static method to find the user owning a valid (unexpired) reset token
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  const hashedToken = crypto.createHash('sha256').update(String(resetToken)).digest('hex');
+  return this.findOne({
+    resetPasswordToken: hashedToken,
+    resetPasswordExpiry: { $gt: new Date() }
+  });
+};
+
 // Reset daily downloads if new day (24-hour auto reset)
 userSchema.methods.resetDailyDownloadsIfNeeded = function() {
   const now = new Date();
@@ -226,16 +333,48 @@ userSchema.methods.resetMonthlyDownloadsIfNeeded = function() {
   return false;
 };
 
+// Public fields of a plan for quota responses
+const planSummary = (plan) => ({
+  name: plan.name,
+  slug: plan.slug,
+  dailyLimit: plan.dailyLimit,
+  monthlyLimit: plan.monthlyLimit,
+  allowedCategories: plan.allowedCategories || [],
+  perks: plan.perks || []
+});
+
+// The plan whose limits currently apply: the user's plan while it is valid,
+// otherwise the default plan (expired or unknown plans fall back)
+userSchema.methods.getActivePlan = function() {
+  const defaultPlan = Plan.getDefaultPlan();
+  const plan = Plan.getCachedById(this.plan) || Plan.getCachedBySlug(this.subscription);
+
+  if (!plan || plan.isDefault) return defaultPlan;
+  if (this.premiumExpiry) {
+    return this.premiumExpiry > new Date() ? plan : defaultPlan;
+  }
+  // No expiry recorded: only plans without a duration (lifetime) stay active
+  return plan.durationDays ? defaultPlan : plan;
+};
+
+// Whether the user's current plan includes a product category
+userSchema.methods.canAccessCategory = function(category) {
+  return Plan.includesCategory(this.getActivePlan(), category);
+};
+
 // Enhanced canDownload method with 24-hour reset info
 userSchema.methods.canDownload = function() {
+  const plan = this.getActivePlan();
+
   // Check if user is verified
   if (!this.isVerified) {
     return {
       canDownload: false,
       reason: 'Email not verified - please check your email and verify your account',
       subscription: this.subscription,
-      daily: { used: 0, limit: 15, remaining: 15 },
-      monthly: { used: 0, limit: 350, remaining: 350 },
+      plan: planSummary(plan),
+      daily: { used: 0, limit: plan.dailyLimit, remaining: plan.dailyLimit },
+      monthly: { used: 0, limit: plan.monthlyLimit, remaining: plan.monthlyLimit },
       total: this.totalDownloads || 0,
       requiresVerification: true,
       subscriptionStatus: { active: false, daysLeft: 0 }
@@ -246,12 +385,10 @@ userSchema.methods.canDownload = function() {
   const dailyReset = this.resetDailyDownloadsIfNeeded();
   const monthlyReset = this.resetMonthlyDownloadsIfNeeded();
 
-  // Define limits based on subscription
-  const isPremium = this.subscription === 'premium';
-  const isActive = isPremium && this.premiumExpiry && this.premiumExpiry > new Date();
-  
-  const dailyLimit = 15; // Everyone gets 15 per day
-  const monthlyLimit = isActive ? 500 : 350; // Premium: 500, Free: 350
+  // Limits come from the plan that currently applies
+  const isActive = !plan.isDefault;
+  const dailyLimit = plan.dailyLimit;
+  const monthlyLimit = plan.monthlyLimit;
 
   const dailyUsed = this.dailyDownloads || 0;
   const monthlyUsed = this.monthlyDownloads || 0;
@@ -266,7 +403,7 @@ userSchema.methods.canDownload = function() {
   const subscriptionStatus = {
     active: isActive,
     expiry: this.premiumExpiry,
-    daysLeft: isPremium && this.premiumExpiry 
+    daysLeft: isActive && this.premiumExpiry 
       ? Math.max(0, Math.ceil((this.premiumExpiry - new Date()) / (1000 * 60 * 60 * 24)))
       : 0
   };
@@ -286,7 +423,8 @@ userSchema.methods.canDownload = function() {
     if (dailyRemaining <= 0) {
       reason = `Daily limit reached (${dailyUsed}/${dailyLimit}). Resets automatically in ${hoursUntilDailyReset} hour${hoursUntilDailyReset === 1 ? '' : 's'}.`;
     } else if (monthlyRemaining <= 0) {
-      reason = `Monthly limit reached (${monthlyUsed}/${monthlyLimit}). Resets in ${daysUntilMonthlyReset} day${daysUntilMonthlyReset === 1 ? '' : 's'}.${!isActive && isPremium === false ? ' Upgrade to premium for 500 downloads/month!' : ''}`;
+      const upgrade = Plan.getUpgradeFor(plan);
+      reason = `Monthly limit reached (${monthlyUsed}/${monthlyLimit}). Resets in ${daysUntilMonthlyReset} day${daysUntilMonthlyReset === 1 ? '' : 's'}.${upgrade ? ` Upgrade to ${upgrade.name} for ${upgrade.monthlyLimit} downloads/month!` : ''}`;
     }
   }
 
@@ -294,6 +432,7 @@ userSchema.methods.canDownload = function() {
     canDownload,
     reason,
     subscription: this.subscription,
+    plan: planSummary(plan),
     daily: { 
       used: dailyUsed, 
       limit: dailyLimit, 
@@ -318,7 +457,8 @@ userSchema.methods.canDownload = function() {
 };
 
 // Enhanced increment download count with statistics tracking
-userSchema.methods.incrementDownloadCount = async function(productData = {}) {
+// options.session: optional MongoDB session so the update joins a transaction
+userSchema.methods.incrementDownloadCount = async function(productData = {}, options = {}) {
   // Auto-reset counters if needed
   this.resetDailyDownloadsIfNeeded();
   this.resetMonthlyDownloadsIfNeeded();
@@ -339,20 +479,8 @@ userSchema.methods.incrementDownloadCount = async function(productData = {}) {
       ipAddress: productData.ipAddress || 'unknown'
     });
 
-    // Update statistics
+    // Update statistics (per-category counts are computed from `downloads` in getDownloadStats)
     this.downloadStats.totalDownloads = this.totalDownloads;
-    
-    // Update category-specific stats
-    const category = productData.productCategory;
-    if (category === 'themes') {
-      this.downloadStats.themesDownloaded = (this.downloadStats.themesDownloaded || 0) + 1;
-    } else if (category === 'plugins') {
-      this.downloadStats.pluginsDownloaded = (this.downloadStats.pluginsDownloaded || 0) + 1;
-    } else if (category === 'templates') {
-      this.downloadStats.templatesDownloaded = (this.downloadStats.templatesDownloaded || 0) + 1;
-    } else if (category === 'graphics') {
-      this.downloadStats.graphicsDownloaded = (this.downloadStats.graphicsDownloaded || 0) + 1;
-    }
 
     // Update average downloads per day
     const daysSinceRegistration = Math.max(1, Math.floor((Date.now() - new Date(this.createdAt)) / (1000 * 60 * 60 * 24)));
@@ -364,19 +492,17 @@ userSchema.methods.incrementDownloadCount = async function(productData = {}) {
     this.downloadStats.lastStatsUpdate = new Date();
   }
   
-  const isPremium = this.subscription === 'premium';
-  const isActive = isPremium && this.premiumExpiry && this.premiumExpiry > new Date();
-  const monthlyLimit = isActive ? 500 : 350;
+  const { dailyLimit, monthlyLimit } = this.getActivePlan();
   
-  console.log(`📥 ${this.email} - Daily: ${this.dailyDownloads}/15, Monthly: ${this.monthlyDownloads}/${monthlyLimit}, Total: ${this.totalDownloads}`);
+  console.log(`📥 ${this.email} - Daily: ${this.dailyDownloads}/${dailyLimit}, Monthly: ${this.monthlyDownloads}/${monthlyLimit}, Total: ${this.totalDownloads}`);
   
   try {
-    await this.save();
+    await this.save({ session: options.session });
     return {
       dailyCount: this.dailyDownloads,
       monthlyCount: this.monthlyDownloads,
       totalCount: this.totalDownloads,
-      dailyRemaining: Math.max(0, 15 - this.dailyDownloads),
+      dailyRemaining: Math.max(0, dailyLimit - this.dailyDownloads),
       monthlyRemaining: Math.max(0, monthlyLimit - this.monthlyDownloads)
     };
   } catch (error) {
@@ -385,6 +511,78 @@ userSchema.methods.incrementDownloadCount = async function(productData = {}) {
   }
 };
 
+// Quota check and increment in one atomic update, for MongoDB deployments without transactions
+// (standalone mongod). Counters only move while still under the plan limits, so parallel downloads
+// can't overshoot. Resolves with { user, entryId } (entryId = the downloads[] entry added), or null
+// when the limit is reached. Undo with releaseDownloadSlot if the download can't be recorded.
+userSchema.methods.claimDownloadSlot = async function(productData = {}) {
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const { dailyLimit, monthlyLimit } = this.getActivePlan();
+  const User = this.constructor;
+
+  // Persist a day/month rollover first; both updates are no-ops once applied
+  await User.updateOne(
+    { _id: this._id, $or: [{ dailyDownloadDate: { $lt: today } }, { dailyDownloadDate: null }] },
+    { $set: { dailyDownloads: 0, dailyDownloadDate: today } }
+  );
+  await User.updateOne(
+    { _id: this._id, monthlyDownloadMonth: { $ne: currentMonth } },
+    { $set: { monthlyDownloads: 0, monthlyDownloadMonth: currentMonth } }
+  );
+
+  const entryId = new mongoose.Types.ObjectId();
+  const daysSinceRegistration = Math.max(1, Math.floor((Date.now() - new Date(this.createdAt)) / (1000 * 60 * 60 * 24)));
+
+  const user = await User.findOneAndUpdate(
+    {
+      _id: this._id,
+      dailyDownloads: { $lt: dailyLimit },
+      monthlyDownloads: { $lt: monthlyLimit },
+      dailyDownloadDate: { $gte: today },
+      monthlyDownloadMonth: currentMonth
+    },
+    {
+      $inc: { dailyDownloads: 1, monthlyDownloads: 1, totalDownloads: 1, 'downloadStats.totalDownloads': 1 },
+      $set: {
+        'downloadStats.averageDownloadsPerDay': Number((((this.totalDownloads || 0) + 1) / daysSinceRegistration).toFixed(2)),
+        'downloadStats.mostActiveDay': now.toLocaleDateString('en-US', { weekday: 'long' }),
+        'downloadStats.lastStatsUpdate': now
+      },
+      ...(productData.productId ? {
+        $push: {
+          downloads: {
+            _id: entryId,
+            productId: productData.productId,
+            productTitle: productData.productTitle || 'Unknown Product',
+            productCategory: productData.productCategory || 'unknown',
+            downloadedAt: now,
+            downloadSource: productData.downloadSource || 'web',
+            ipAddress: productData.ipAddress || 'unknown'
+          }
+        }
+      } : {})
+    },
+    { new: true }
+  );
+  if (!user) return null;
+
+  console.log(`📥 ${user.email} - Daily: ${user.dailyDownloads}/${dailyLimit}, Monthly: ${user.monthlyDownloads}/${monthlyLimit}, Total: ${user.totalDownloads}`);
+  return { user, entryId };
+};
+
+// Give back a slot taken by claimDownloadSlot
+userSchema.methods.releaseDownloadSlot = function(entryId) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $inc: { dailyDownloads: -1, monthlyDownloads: -1, totalDownloads: -1, 'downloadStats.totalDownloads': -1 },
+      $pull: { downloads: { _id: entryId } }
+    }
+  );
+};
+
 // Get comprehensive download statistics
 userSchema.methods.getDownloadStats = function() {
   this.resetDailyDownloadsIfNeeded();
@@ -426,9 +624,8 @@ userSchema.methods.getDownloadStats = function() {
     return acc;
   }, {});
 
-  const isPremium = this.subscription === 'premium';
-  const isActive = isPremium && this.premiumExpiry && this.premiumExpiry > new Date();
-  const monthlyLimit = isActive ? 500 : 350;
+  const plan = this.getActivePlan();
+  const { dailyLimit, monthlyLimit } = plan;
 
   return {
     // Current counters
@@ -442,9 +639,9 @@ userSchema.methods.getDownloadStats = function() {
     monthDownloadsDetailed: monthDownloads.length,
     
     // Limits and remaining
-    dailyLimit: 15,
+    dailyLimit: dailyLimit,
     monthlyLimit: monthlyLimit,
-    dailyRemaining: Math.max(0, 15 - (this.dailyDownloads || 0)),
+    dailyRemaining: Math.max(0, dailyLimit - (this.dailyDownloads || 0)),
     monthlyRemaining: Math.max(0, monthlyLimit - (this.monthlyDownloads || 0)),
     
     // Breakdowns
@@ -453,7 +650,8 @@ userSchema.methods.getDownloadStats = function() {
     
     // Account info
     subscription: this.subscription,
-    isPremium: isActive,
+    plan: planSummary(plan),
+    isPremium: !plan.isDefault,
     accountAge: Math.floor((Date.now() - new Date(this.createdAt)) / (1000 * 60 * 60 * 24)),
     averageDownloadsPerDay: this.downloadStats.averageDownloadsPerDay || 0,
     mostActiveCategory: Object.keys(categoryStats).reduce((a, b) => 
@@ -484,25 +682,42 @@ userSchema.methods.getDownloadHistory = function(days = 30) {
   ).sort((a, b) => new Date(b.downloadedAt) - new Date(a.downloadedAt));
 };
 
-// Update premium subscription
-userSchema.methods.updatePremiumSubscription = async function(durationInDays = 30) {
-  this.subscription = 'premium';
+// Move the user onto a plan
+// durationInDays defaults to the plan's duration; null = no expiry (default and lifetime plans)
+userSchema.methods.assignPlan = async function(plan, durationInDays) {
+  const days = durationInDays !== undefined ? durationInDays : plan.durationDays;
+
+  this.plan = plan._id;
+  this.subscription = plan.slug;
   this.premiumStartDate = new Date();
-  this.premiumExpiry = new Date(Date.now() + (durationInDays * 24 * 60 * 60 * 1000));
-  
+  this.premiumExpiry = !plan.isDefault && days
+    ? new Date(Date.now() + (days * 24 * 60 * 60 * 1000))
+    : undefined;
+
   try {
     await this.save();
-    console.log(`✅ Premium subscription activated for ${this.email} until ${this.premiumExpiry.toDateString()}`);
+    console.log(`✅ Plan "${plan.slug}" assigned to ${this.email}${this.premiumExpiry ? ` until ${this.premiumExpiry.toDateString()}` : ''}`);
     return this;
   } catch (error) {
-    console.error('❌ Error updating premium subscription:', error);
-    throw new Error('Failed to update premium subscription');
+    console.error('❌ Error assigning plan:', error);
+    throw new Error('Failed to update subscription plan');
+  }
+};
+
+// Update premium subscription
+userSchema.methods.updatePremiumSubscription = async function(durationInDays = 30) {
+  const premiumPlan = Plan.getCachedBySlug('premium');
+  if (!premiumPlan) {
+    throw new Error('Premium plan is not configured');
   }
+  return this.assignPlan(premiumPlan, durationInDays);
 };
 
 // Cancel premium subscription
 userSchema.methods.cancelPremiumSubscription = async function() {
-  this.subscription = 'free';
+  const defaultPlan = Plan.getDefaultPlan();
+  this.plan = defaultPlan._id;
+  this.subscription = defaultPlan.slug;
   this.premiumExpiry = new Date(); // Expire immediately
   
   try {
@@ -522,6 +737,8 @@ userSchema.methods.toJSON = function() {
   // Remove sensitive fields
   delete user.password;
   delete user.otp;
+  delete user.resetPasswordToken;
+  delete user.resetPasswordExpiry;
   delete user.__v;
   
   // Add computed fields
@@ -531,6 +748,25 @@ userSchema.methods.toJSON = function() {
   return user;
 };
 
+// Reset quota counters (admin action). scope: 'daily' | 'monthly' | 'all'
+userSchema.methods.resetDownloadQuota = async function(scope = 'all') {
+  const now = new Date();
+
+  if (scope === 'daily' || scope === 'all') {
+    this.dailyDownloads = 0;
+    this.dailyDownloadDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+
+  if (scope === 'monthly' || scope === 'all') {
+    this.monthlyDownloads = 0;
+    this.monthlyDownloadMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  await this.save();
+  console.log(`🔄 Download quota (${scope}) reset for ${this.email}`);
+  return this;
+};
+
 // Static method to get top downloaders
 userSchema.statics.getTopDownloaders = function(limit = 10, period = 'total') {
   let sortField = 'totalDownloads';
@@ -567,6 +803,7 @@ userSchema.statics.getTopDownloaders = function(limit = 10, period = 'total') {
 
 // Static method to get global download statistics
 userSchema.statics.getGlobalStats = function() {
+  const defaultSlug = Plan.getDefaultPlan().slug;
   return this.aggregate([
     { $match: { isVerified: true } },
     { $group: {
@@ -576,31 +813,70 @@ userSchema.statics.getGlobalStats = function() {
         totalDailyDownloads: { $sum: '$dailyDownloads' },
         totalMonthlyDownloads: { $sum: '$monthlyDownloads' },
         premiumUsers: { 
-          $sum: { $cond: [{ $eq: ["$subscription", "premium"] }, 1, 0] } 
+          $sum: { $cond: [{ $ne: ["$subscription", defaultSlug] }, 1, 0] } 
         },
         freeUsers: { 
-          $sum: { $cond: [{ $eq: ["$subscription", "free"] }, 1, 0] } 
+          $sum: { $cond: [{ $eq: ["$subscription", defaultSlug] }, 1, 0] } 
         },
         averageDownloadsPerUser: { $avg: '$totalDownloads' }
     }}
   ]);
 };
 
-// Static method to reset expired premium subscriptions
+// Static method to get registrations and verification conversion in a date range
+userSchema.statics.getRegistrationStats = async function(from, to, granularity = 'day') {
+  const formats = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+  const [result] = await this.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to } } },
+    { $facet: {
+        totals: [
+          { $group: {
+              _id: null,
+              registrations: { $sum: 1 },
+              verified: { $sum: { $cond: ['$isVerified', 1, 0] } }
+          }}
+        ],
+        series: [
+          { $group: {
+              _id: { $dateToString: { format: formats[granularity] || formats.day, date: '$createdAt' } },
+              registrations: { $sum: 1 },
+              verified: { $sum: { $cond: ['$isVerified', 1, 0] } }
+          }},
+          { $project: { _id: 0, period: '$_id', registrations: 1, verified: 1 } },
+          { $sort: { period: 1 } }
+        ]
+    }}
+  ]);
+
+  const totals = result.totals[0] || { registrations: 0, verified: 0 };
+
+  return {
+    newRegistrations: totals.registrations,
+    verified: totals.verified,
+    conversionRate: totals.registrations > 0
+      ? Number(((totals.verified / totals.registrations) * 100).toFixed(2))
+      : 0,
+    series: result.series
+  };
+};
+
+// Static method to move users with expired paid plans back to the default plan
 userSchema.statics.resetExpiredPremiumSubscriptions = async function() {
   const now = new Date();
+  const defaultPlan = Plan.getDefaultPlan();
   const result = await this.updateMany(
     { 
-      subscription: 'premium',
+      subscription: { $ne: defaultPlan.slug },
       premiumExpiry: { $lt: now }
     },
     { 
-      $set: { subscription: 'free' }
+      $set: { subscription: defaultPlan.slug, plan: defaultPlan._id }
     }
   );
   
   if (result.modifiedCount > 0) {
-    console.log(`🔄 Reset ${result.modifiedCount} expired premium subscriptions`);
+    console.log(`🔄 Reset ${result.modifiedCount} expired plan subscriptions`);
   }
   
   return result;
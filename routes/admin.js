@@ -1,26 +1,837 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const auth = require('../middleware/auth');
+const User = require('../models/User');
+const Download = require('../models/Download');
+const Product = require('../models/Product');
+const Session = require('../models/Session');
+const Plan = require('../models/Plan');
+const Review = require('../models/Review');
+const Category = require('../models/Category');
+const adminAuth = require('../middleware/adminAuth');
+const { LINK_FIELDS, runLinkCheck } = require('../services/linkChecker');
 
-// Admin middleware
-const adminAuth = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
+// Parse ?from=&to= (ISO dates). Defaults to the last 30 days, capped at 2 years.
+const parseDateRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'Invalid date format for from/to' };
+  }
+  if (from > to) {
+    return { error: "'from' must be before 'to'" };
+  }
+  if (to - from > 2 * 366 * 24 * 60 * 60 * 1000) {
+    return { error: 'Date range cannot exceed 2 years' };
+  }
+
+  // A bare date for 'to' means "up to the end of that day"
+  if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to.setUTCHours(23, 59, 59, 999);
+  }
+
+  return { from, to };
+};
+
+// Get admin dashboard
+// Query: from, to (ISO dates), topLimit
+router.get('/dashboard', adminAuth, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const { from, to } = range;
+    const topLimit = Math.min(parseInt(req.query.topLimit) || 10, 50);
+
+    const [
+      downloadSummary,
+      daily,
+      weekly,
+      monthly,
+      topProducts,
+      categorySplit,
+      registrations,
+      globalStats,
+      topDownloaders,
+      totalUsers,
+      totalProducts,
+      allTimeDownloads
+    ] = await Promise.all([
+      Download.getRangeSummary(from, to),
+      Download.getTimeSeries(from, to, 'day'),
+      Download.getTimeSeries(from, to, 'week'),
+      Download.getTimeSeries(from, to, 'month'),
+      Download.getTopProducts(from, to, topLimit),
+      Download.getCategorySplit(from, to),
+      User.getRegistrationStats(from, to, 'day'),
+      User.getGlobalStats(),
+      User.getTopDownloaders(topLimit, 'monthly'),
+      User.countDocuments(),
+      Product.countDocuments(Product.publicFilter()),
+      Download.estimatedDocumentCount()
+    ]);
+
+    const global = globalStats[0] || {};
+
+    res.json({
+      success: true,
+      range: { from, to },
+      dashboard: {
+        overview: {
+          totalUsers,
+          verifiedUsers: global.totalUsers || 0,
+          activeProducts: totalProducts,
+          totalDownloads: allTimeDownloads,
+          downloadsInRange: downloadSummary.totalDownloads,
+          activeUsersInRange: downloadSummary.activeUsers,
+          averageDownloadsPerUser: Number((global.averageDownloadsPerUser || 0).toFixed(2))
+        },
+        downloads: {
+          daily,
+          weekly,
+          monthly
+        },
+        topProducts,
+        categorySplit,
+        registrations: {
+          newRegistrations: registrations.newRegistrations,
+          verified: registrations.verified,
+          verificationConversionRate: registrations.conversionRate,
+          daily: registrations.series
+        },
+        subscriptions: {
+          premium: global.premiumUsers || 0,
+          free: global.freeUsers || 0
+        },
+        topDownloaders
+      }
+    });
+  } catch (error) {
+    console.error('❌ Admin dashboard error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Access denied. Admin rights required.'
+      message: 'Server error',
+      error: error.message
     });
   }
-  next();
+});
+
+const USER_LIST_FIELDS = 'name email role subscription plan isVerified isSuspended premiumExpiry dailyDownloads monthlyDownloads totalDownloads lastLogin lastActivity createdAt';
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseBoolean = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
 };
 
-// Get admin dashboard
-router.get('/dashboard', auth, adminAuth, async (req, res) => {
+// Load :id user for the user management routes below
+const loadUser = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid User ID format'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const userSummary = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  subscription: user.subscription,
+  plan: user.plan,
+  premiumExpiry: user.premiumExpiry,
+  isVerified: user.isVerified,
+  verifiedAt: user.verifiedAt,
+  isSuspended: user.isSuspended,
+  suspendedAt: user.suspendedAt,
+  suspendedReason: user.suspendedReason,
+  dailyDownloads: user.dailyDownloads,
+  monthlyDownloads: user.monthlyDownloads,
+  totalDownloads: user.totalDownloads
+});
+
+// Get all users (search, filter, paginate)
+// Query: q, role, subscription, isVerified, isSuspended, page, limit, sort (field or -field)
+router.get('/users', adminAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.q && req.query.q.trim()) {
+      const pattern = new RegExp(escapeRegex(req.query.q.trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (['user', 'admin'].includes(req.query.role)) {
+      query.role = req.query.role;
+    }
+    if (typeof req.query.subscription === 'string' && /^[a-z0-9-]+$/.test(req.query.subscription)) {
+      query.subscription = req.query.subscription;
+    }
+    const isVerified = parseBoolean(req.query.isVerified);
+    if (typeof isVerified !== 'undefined') {
+      query.isVerified = isVerified;
+    }
+    const isSuspended = parseBoolean(req.query.isSuspended);
+    if (typeof isSuspended !== 'undefined') {
+      query.isSuspended = isSuspended ? true : { $ne: true };
+    }
+
+    const sortableFields = ['createdAt', 'name', 'email', 'totalDownloads', 'monthlyDownloads', 'lastLogin'];
+    const sortParam = req.query.sort || '-createdAt';
+    const sortField = sortParam.replace(/^-/, '');
+    const sort = sortableFields.includes(sortField)
+      ? { [sortField]: sortParam.startsWith('-') ? -1 : 1 }
+      : { createdAt: -1 };
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(USER_LIST_FIELDS)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get a single user with download limits
+router.get('/users/:id', adminAuth, loadUser, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: req.targetUser
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get a user's download history
+router.get('/users/:id/downloads', adminAuth, loadUser, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const [downloads, total] = await Promise.all([
+      Download.find({ userId: req.targetUser._id })
+        .populate({ path: 'productId', select: 'title category imageUrl deletedAt', options: { withDeleted: true } })
+        .sort({ downloadDate: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Download.countDocuments({ userId: req.targetUser._id })
+    ]);
+
+    res.json({
+      success: true,
+      user: userSummary(req.targetUser),
+      downloads,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Manually verify a user
+router.patch('/users/:id/verify', adminAuth, loadUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already verified'
+      });
+    }
+
+    user.isVerified = true;
+    user.verifiedAt = new Date();
+    user.clearOTP();
+    await user.save();
+
+    console.log(`✅ User manually verified by ${req.admin.email}: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: `${user.email} has been verified`,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Change a user's role
+router.patch('/users/:id/role', adminAuth, loadUser, async (req, res) => {
+  try {
+    const { role } = req.body;
+    const user = req.targetUser;
+
+    if (!['user', 'admin'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Role must be 'user' or 'admin'"
+      });
+    }
+
+    if (user._id.toString() === req.admin.adminId && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin role'
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    console.log(`👤 Role for ${user.email} changed to '${role}' by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: `${user.email} is now ${role === 'admin' ? 'an admin' : 'a regular user'}`,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Grant (or extend) premium
+router.post('/users/:id/premium', adminAuth, loadUser, async (req, res) => {
+  try {
+    const durationInDays = parseInt(req.body.durationInDays) || 30;
+
+    if (durationInDays < 1 || durationInDays > 3650) {
+      return res.status(400).json({
+        success: false,
+        message: 'durationInDays must be between 1 and 3650'
+      });
+    }
+
+    const user = await req.targetUser.updatePremiumSubscription(durationInDays);
+
+    console.log(`⭐ Premium granted to ${user.email} for ${durationInDays} days by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: `Premium granted to ${user.email} until ${user.premiumExpiry.toDateString()}`,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Revoke premium
+router.delete('/users/:id/premium', adminAuth, loadUser, async (req, res) => {
+  try {
+    const user = await req.targetUser.cancelPremiumSubscription();
+
+    console.log(`⭐ Premium revoked for ${user.email} by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: `Premium revoked for ${user.email}`,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Move a user onto any plan. Body: { plan: <slug or id>, durationInDays? }
+// durationInDays defaults to the plan's own duration (none for default/lifetime plans)
+router.put('/users/:id/plan', adminAuth, loadUser, async (req, res) => {
+  try {
+    const planRef = String(req.body.plan || '').trim().toLowerCase();
+    const plan = await Plan.findOne(
+      mongoose.Types.ObjectId.isValid(planRef) ? { _id: planRef } : { slug: planRef }
+    );
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    let durationInDays;
+    if (req.body.durationInDays !== undefined && req.body.durationInDays !== null) {
+      durationInDays = parseInt(req.body.durationInDays);
+      if (isNaN(durationInDays) || durationInDays < 1 || durationInDays > 3650) {
+        return res.status(400).json({
+          success: false,
+          message: 'durationInDays must be between 1 and 3650'
+        });
+      }
+    }
+
+    const user = await req.targetUser.assignPlan(plan, durationInDays);
+
+    console.log(`💳 Plan "${plan.slug}" assigned to ${user.email} by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: `${user.email} moved to the ${plan.name} plan${user.premiumExpiry ? ` until ${user.premiumExpiry.toDateString()}` : ''}`,
+      user: userSummary(user),
+      downloadLimits: user.canDownload()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Reset quota counters. Body: { scope: 'daily' | 'monthly' | 'all' }
+router.post('/users/:id/reset-quota', adminAuth, loadUser, async (req, res) => {
+  try {
+    const scope = req.body.scope || 'all';
+
+    if (!['daily', 'monthly', 'all'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: "scope must be 'daily', 'monthly' or 'all'"
+      });
+    }
+
+    const user = await req.targetUser.resetDownloadQuota(scope);
+
+    res.json({
+      success: true,
+      message: `Download quota (${scope}) reset for ${user.email}`,
+      user: userSummary(user),
+      downloadLimits: user.canDownload()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Suspend a user and revoke all of their sessions
+router.post('/users/:id/suspend', adminAuth, loadUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    if (user._id.toString() === req.admin.adminId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    if (user.isSuspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already suspended'
+      });
+    }
+
+    user.isSuspended = true;
+    user.suspendedAt = new Date();
+    user.suspendedReason = req.body.reason;
+    user.suspendedBy = req.admin.adminId;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'admin');
+
+    console.log(`🚫 User suspended by ${req.admin.email}: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: `${user.email} has been suspended`,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Lift a suspension
+router.post('/users/:id/unsuspend', adminAuth, loadUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    if (!user.isSuspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    user.isSuspended = false;
+    user.suspendedAt = undefined;
+    user.suspendedReason = undefined;
+    user.suspendedBy = undefined;
+    await user.save();
+
+    console.log(`✅ User unsuspended by ${req.admin.email}: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: `${user.email} has been unsuspended`,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// ---- Subscription plans ----
+
+const PLAN_FIELDS = ['name', 'slug', 'description', 'dailyLimit', 'monthlyLimit', 'price', 'currency', 'durationDays', 'allowedCategories', 'perks', 'isDefault', 'isActive', 'sortOrder'];
+
+const pickPlanFields = (body) => PLAN_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const sendPlanError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: messages.join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A plan with this slug already exists'
+    });
+  }
+
+  console.error('❌ Plan admin error:', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// Only one plan can be the default; make `planId` the default and unset the rest
+const makeDefaultPlan = async (planId) => {
+  await Plan.updateMany({ _id: { $ne: planId }, isDefault: true }, { $set: { isDefault: false } });
+};
+
+const loadPlan = async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.planId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid plan ID'
+    });
+  }
+
+  try {
+    req.plan = await Plan.findById(req.params.planId);
+    if (!req.plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// List all plans (including inactive) with the number of users on each
+router.get('/plans', adminAuth, async (req, res) => {
   try {
+    const [plans, userCounts] = await Promise.all([
+      Plan.find().sort({ sortOrder: 1, price: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$subscription', users: { $sum: 1 } } }])
+    ]);
+
+    const countBySlug = userCounts.reduce((acc, row) => {
+      acc[row._id] = row.users;
+      return acc;
+    }, {});
+
     res.json({
       success: true,
-      message: 'Admin dashboard endpoint working',
-      totalDownloads: 0 // Placeholder value
+      plans: plans.map(plan => ({ ...plan, userCount: countBySlug[plan.slug] || 0 }))
     });
+  } catch (error) {
+    sendPlanError(res, error, 'Failed to fetch plans');
+  }
+});
+
+// Create a plan
+router.post('/plans', adminAuth, async (req, res) => {
+  try {
+    const plan = new Plan(pickPlanFields(req.body));
+
+    if (plan.isDefault && !plan.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default plan must be active'
+      });
+    }
+
+    await plan.save();
+    if (plan.isDefault) {
+      await makeDefaultPlan(plan._id);
+    }
+    await Plan.refreshCache();
+
+    console.log(`💳 Plan "${plan.slug}" created by ${req.admin.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan created successfully',
+      plan
+    });
+  } catch (error) {
+    sendPlanError(res, error, 'Failed to create plan');
+  }
+});
+
+// Update a plan (limits apply to every user on the plan immediately)
+router.put('/plans/:planId', adminAuth, loadPlan, async (req, res) => {
+  try {
+    const plan = req.plan;
+    const previousSlug = plan.slug;
+    const updates = pickPlanFields(req.body);
+
+    if (plan.isDefault && (updates.isDefault === false || updates.isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Make another plan the default before deactivating or unsetting this one'
+      });
+    }
+
+    plan.set(updates);
+    if (plan.isDefault && !plan.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default plan must be active'
+      });
+    }
+
+    await plan.save();
+    if (plan.isDefault) {
+      await makeDefaultPlan(plan._id);
+    }
+
+    // Keep users' plan slug in sync when a plan is renamed
+    if (plan.slug !== previousSlug) {
+      await User.updateMany({ subscription: previousSlug }, { $set: { subscription: plan.slug, plan: plan._id } });
+    }
+
+    await Plan.refreshCache();
+
+    console.log(`💳 Plan "${plan.slug}" updated by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: 'Plan updated successfully',
+      plan
+    });
+  } catch (error) {
+    sendPlanError(res, error, 'Failed to update plan');
+  }
+});
+
+// Delete a plan. Plans with users are only deactivated (existing users keep it until it expires).
+router.delete('/plans/:planId', adminAuth, loadPlan, async (req, res) => {
+  try {
+    const plan = req.plan;
+
+    if (plan.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default plan cannot be deleted'
+      });
+    }
+
+    const userCount = await User.countDocuments({ $or: [{ plan: plan._id }, { subscription: plan.slug }] });
+
+    if (userCount > 0) {
+      plan.isActive = false;
+      await plan.save();
+      await Plan.refreshCache();
+
+      console.log(`💳 Plan "${plan.slug}" deactivated by ${req.admin.email} (${userCount} user(s) still assigned)`);
+
+      return res.json({
+        success: true,
+        message: `Plan has ${userCount} user(s) and was deactivated instead of deleted`,
+        deactivated: true,
+        plan
+      });
+    }
+
+    await plan.deleteOne();
+    await Plan.refreshCache();
+
+    console.log(`💳 Plan "${plan.slug}" deleted by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: 'Plan deleted successfully'
+    });
+  } catch (error) {
+    sendPlanError(res, error, 'Failed to delete plan');
+  }
+});
+
+const CATEGORY_FIELDS = ['name', 'slug', 'description', 'icon', 'sortOrder', 'isActive'];
+
+const pickCategoryFields = (body) => CATEGORY_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const sendCategoryError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: messages.join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A category with this slug already exists'
+    });
+  }
+
+  console.error('❌ Category admin error:', error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// `parent` may be a category ID, a slug, or null for a top-level category.
+// Returns the parent ID (or null), or undefined when it can't be found.
+const resolveParentCategory = async (parent) => {
+  if (parent === null || parent === '') return null;
+  const query = mongoose.Types.ObjectId.isValid(parent) ? { _id: parent } : { slug: String(parent).toLowerCase() };
+  const category = await Category.findOne(query).select('_id');
+  return category ? category._id : undefined;
+};
+
+const loadCategory = async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.categoryId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid category ID'
+    });
+  }
+
+  try {
+    req.category = await Category.findById(req.params.categoryId);
+    if (!req.category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    next();
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -28,14 +839,398 @@ router.get('/dashboard', auth, adminAuth, async (req, res) => {
       error: error.message
     });
   }
+};
+
+// Category tree (including inactive) with product counts and downloads, subcategories included
+router.get('/categories', adminAuth, async (req, res) => {
+  try {
+    await Category.refreshCache();
+    const counts = await Product.countByCategory();
+
+    res.json({
+      success: true,
+      categories: Category.buildTree({ includeInactive: true, counts })
+    });
+  } catch (error) {
+    sendCategoryError(res, error, 'Failed to fetch categories');
+  }
+});
+
+// Create a category. Body: { name, slug, description, parent, icon, sortOrder, isActive }
+router.post('/categories', adminAuth, async (req, res) => {
+  try {
+    const category = new Category(pickCategoryFields(req.body));
+
+    if (req.body.parent !== undefined) {
+      const parentId = await resolveParentCategory(req.body.parent);
+      if (parentId === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent category not found'
+        });
+      }
+      category.parent = parentId;
+    }
+
+    await category.save();
+    await Category.refreshCache();
+
+    console.log(`🗂️  Category "${category.slug}" created by ${req.admin.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category
+    });
+  } catch (error) {
+    sendCategoryError(res, error, 'Failed to create category');
+  }
 });
 
-// Get all users
-router.get('/users', auth, adminAuth, async (req, res) => {
+// Update a category (renaming the slug moves its products and plan restrictions along)
+router.put('/categories/:categoryId', adminAuth, loadCategory, async (req, res) => {
   try {
+    const category = req.category;
+    const previousSlug = category.slug;
+
+    category.set(pickCategoryFields(req.body));
+    if (req.body.parent !== undefined) {
+      const parentId = await resolveParentCategory(req.body.parent);
+      if (parentId === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent category not found'
+        });
+      }
+      category.parent = parentId;
+    }
+
+    await category.save();
+
+    if (category.slug !== previousSlug) {
+      await Product.updateMany({ category: previousSlug }, { $set: { category: category.slug } });
+      await Plan.updateMany({ allowedCategories: previousSlug }, { $set: { 'allowedCategories.$': category.slug } });
+      await Plan.refreshCache();
+    }
+
+    await Category.refreshCache();
+
+    console.log(`🗂️  Category "${category.slug}" updated by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (error) {
+    sendCategoryError(res, error, 'Failed to update category');
+  }
+});
+
+// Delete a category. Categories with subcategories can't be deleted; ones with products are only deactivated.
+router.delete('/categories/:categoryId', adminAuth, loadCategory, async (req, res) => {
+  try {
+    const category = req.category;
+
+    const childCount = await Category.countDocuments({ parent: category._id });
+    if (childCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Category has ${childCount} subcategor${childCount === 1 ? 'y' : 'ies'}. Move or delete them first.`
+      });
+    }
+
+    const productCount = await Product.countDocuments({ category: category.slug }).setOptions({ withDeleted: true });
+
+    if (productCount > 0) {
+      category.isActive = false;
+      await category.save();
+      await Category.refreshCache();
+
+      console.log(`🗂️  Category "${category.slug}" deactivated by ${req.admin.email} (${productCount} product(s) still assigned)`);
+
+      return res.json({
+        success: true,
+        message: `Category has ${productCount} product(s) and was deactivated instead of deleted`,
+        deactivated: true,
+        category
+      });
+    }
+
+    await category.deleteOne();
+    await Category.refreshCache();
+
+    console.log(`🗂️  Category "${category.slug}" deleted by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    sendCategoryError(res, error, 'Failed to delete category');
+  }
+});
+
+// Review moderation queue. Query: status (visible | hidden), flagged, productId, page, limit
+// Hide/flag a review with PATCH /api/products/:id/reviews/:reviewId/moderation
+router.get('/reviews', adminAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = {};
+
+    if (['visible', 'hidden'].includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+    const flagged = parseBoolean(req.query.flagged);
+    if (flagged !== undefined) {
+      query.flagged = flagged;
+    }
+    if (req.query.productId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.productId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product ID'
+        });
+      }
+      query.productId = req.query.productId;
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .populate('userId', 'name email')
+        .populate({ path: 'productId', select: 'title slug', options: { withDeleted: true } })
+        .sort({ flagged: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+const LINK_HEALTH_STATUSES = ['unchecked', 'ok', 'failing', 'broken'];
+
+// Broken-link report. Query: status (unchecked | ok | failing | broken; default failing + broken), action (flagged | deactivated), page, limit
+router.get('/link-health', adminAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (req.query.status && !LINK_HEALTH_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${LINK_HEALTH_STATUSES.join(', ')}`
+      });
+    }
+
+    const query = {
+      'linkHealth.status': req.query.status || { $in: ['failing', 'broken'] }
+    };
+    if (['flagged', 'deactivated'].includes(req.query.action)) {
+      query['linkHealth.action'] = req.query.action;
+    }
+
+    const [products, total, counts] = await Promise.all([
+      Product.find(query)
+        .select(`title slug category status isActive ${LINK_FIELDS.join(' ')} linkHealth`)
+        .sort({ 'linkHealth.failureStreak': -1, 'linkHealth.checkedAt': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Product.countDocuments(query),
+      Product.aggregate([
+        { $match: { deletedAt: null } },
+        { $group: { _id: { $ifNull: ['$linkHealth.status', 'unchecked'] }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const summary = LINK_HEALTH_STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+    counts.forEach(({ _id, count }) => { summary[_id] = count; });
+
+    res.json({
+      success: true,
+      summary,
+      products,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch link health report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Run the link checker now instead of waiting for the next scheduled run
+router.post('/link-health/check', adminAuth, async (req, res) => {
+  try {
+    const summary = await runLinkCheck();
+    if (!summary) {
+      return res.status(409).json({
+        success: false,
+        message: 'A link check is already running'
+      });
+    }
+
+    console.log(`🔗 Link check run by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: 'Link check completed',
+      summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Link check failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get registrations waiting for admin approval (OTP_VERIFICATION_MODE=admin-approval)
+router.get('/pending-verifications', adminAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { isVerified: false, otpDeliveredTo: 'admin' };
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('name email createdAt otpExpiry otpLastSentAt otpAttempts')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    const now = new Date();
+
+    res.json({
+      success: true,
+      users: users.map(user => ({
+        ...user,
+        otpExpired: !user.otpExpiry || user.otpExpiry < now
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Approve a pending registration without an OTP
+router.post('/pending-verifications/:userId/approve', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid User ID format'
+      });
+    }
+
+    // Only registrations whose OTP went to the admin; users who got their own OTP verify themselves
+    const user = await User.findOne({ _id: req.params.userId, otpDeliveredTo: 'admin' });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending registration not found'
+      });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already verified'
+      });
+    }
+
+    user.isVerified = true;
+    user.verifiedAt = new Date();
+    user.clearOTP();
+    await user.save();
+
+    console.log(`✅ Registration approved by ${req.admin.email}: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: `${user.email} has been approved`,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        isVerified: user.isVerified,
+        verifiedAt: user.verifiedAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Reject (delete) a pending registration
+router.post('/pending-verifications/:userId/reject', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid User ID format'
+      });
+    }
+
+    const user = await User.findOneAndDelete({ _id: req.params.userId, isVerified: false, otpDeliveredTo: 'admin' });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending registration not found'
+      });
+    }
+
+    console.log(`🗑️  Registration rejected by ${req.admin.email}: ${user.email}`);
+
     res.json({
       success: true,
-      users: [] // Placeholder array
+      message: `Registration for ${user.email} has been rejected`
     });
   } catch (error) {
     res.status(500).json({
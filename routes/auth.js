@@ -2,270 +2,141 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
-const nodemailer = require('nodemailer');
+const crypto = require('crypto');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const mailer = require('../services/mailer');
 const auth = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiters');
 
 const router = express.Router();
 
-// Email configuration - FIXED
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    service: 'gmail',
-    host: 'smtp.gmail.com',
-    port: 587,
-    secure: false, // Use TLS
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-    tls: {
-      rejectUnauthorized: false
-    },
-    debug: true, // Enable debug
-    logger: true // Enable logging
-  });
-};
+// Verify mail transport on startup
+mailer.verifyConnection();
 
-// Initialize transporter
-let transporter;
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const PASSWORD_RESET_EXPIRY_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 60;
 
-const initializeEmail = async () => {
-  try {
-    transporter = createTransporter();
-    await transporter.verify();
-    console.log('✅ Email server is ready');
-    console.log(`📧 Email configured for: ${process.env.EMAIL_USER}`);
-    console.log(`📨 Admin email: ${process.env.ADMIN_EMAIL}`);
-  } catch (error) {
-    console.error('❌ Email configuration error:', error.message);
-    console.log('💡 Please check your Gmail App Password');
-    console.log('📝 Make sure 2-Factor Authentication is enabled');
-    console.log('🔑 Generate App Password from: https://myaccount.google.com/apppasswords');
-    
-    // Still create transporter even if verification fails
-    transporter = createTransporter();
-  }
-};
-
-// Initialize email on startup
-initializeEmail();
+// Registration OTP settings
+// OTP_VERIFICATION_MODE: 'user' (email the registrant) or 'admin-approval' (email ADMIN_EMAIL + admin queue)
+const OTP_VERIFICATION_MODE = process.env.OTP_VERIFICATION_MODE === 'admin-approval' ? 'admin-approval' : 'user';
+const OTP_EXPIRY_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const OTP_MAX_SENDS_PER_HOUR = parseInt(process.env.OTP_MAX_SENDS_PER_HOUR) || 5;
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
   );
 };
 
+// Start a new session and issue an access + refresh token pair
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
 // Generate OTP
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
-// Send email with retry logic
-const sendEmailWithRetry = async (mailOptions, retries = 3) => {
-  for (let i = 0; i < retries; i++) {
-    try {
-      console.log(`📤 Sending email attempt ${i + 1}...`);
-      const info = await transporter.sendMail(mailOptions);
-      console.log(`✅ Email sent successfully: ${info.messageId}`);
-      return info;
-    } catch (error) {
-      console.error(`❌ Email attempt ${i + 1} failed:`, error.message);
-      
-      if (i === retries - 1) {
-        console.error('❌ All email attempts failed');
-        throw error;
-      }
-      
-      // Wait before retry
-      await new Promise(resolve => setTimeout(resolve, 2000));
+// Helper function to send OTP to admin
+const sendOTPToAdmin = async (user, otp) => {
+  console.log(`📧 Sending OTP for ${user.email} to admin: ${process.env.ADMIN_EMAIL}`);
+
+  await mailer.sendTemplate('adminOtp', {
+    to: process.env.ADMIN_EMAIL,
+    data: {
+      name: user.name,
+      email: user.email,
+      userId: user._id.toString(),
+      otp,
+      expiryMinutes: OTP_EXPIRY_MINUTES
     }
+  });
+};
+
+// Helper function to send password reset link to the user
+const sendPasswordResetEmail = async (user, resetToken) => {
+  const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+
+  console.log(`📧 Sending password reset email to: ${user.email}`);
+
+  await mailer.sendTemplate('passwordReset', {
+    to: user.email,
+    language: user.preferences?.language,
+    data: {
+      name: user.name,
+      resetUrl,
+      expiryMinutes: PASSWORD_RESET_EXPIRY_MINUTES
+    }
+  });
+};
+
+// Helper function to send OTP directly to the registrant
+const sendOTPToUser = async (user, otp) => {
+  console.log(`📧 Sending OTP email to user: ${user.email}`);
+
+  await mailer.sendTemplate('otp', {
+    to: user.email,
+    language: user.preferences?.language,
+    data: {
+      name: user.name,
+      otp,
+      expiryMinutes: OTP_EXPIRY_MINUTES
+    }
+  });
+};
+
+// Deliver an OTP according to OTP_VERIFICATION_MODE, returns who received it
+const deliverOTP = async (user, otp) => {
+  if (OTP_VERIFICATION_MODE === 'admin-approval') {
+    await sendOTPToAdmin(user, otp);
+    return 'admin';
   }
+
+  await sendOTPToUser(user, otp);
+  return 'user';
 };
 
-// Helper function to send OTP to admin
-const sendOTPToAdmin = async (user, otp) => {
-  const mailOptions = {
-    from: `"${process.env.COMPANY_NAME || 'EnvatoClone'}" <${process.env.EMAIL_USER}>`,
-    to: process.env.ADMIN_EMAIL,
-    subject: `🔐 ${process.env.COMPANY_NAME || 'EnvatoClone'} - New User Registration OTP`,
-    html: `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>New User Registration OTP</title>
-        <style>
-          body { 
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
-            line-height: 1.6; 
-            color: #333; 
-            background-color: #f4f4f4; 
-            margin: 0; 
-            padding: 20px; 
-          }
-          .container { 
-            max-width: 600px; 
-            margin: 0 auto; 
-            background: white; 
-            border-radius: 15px; 
-            overflow: hidden; 
-            box-shadow: 0 10px 30px rgba(0,0,0,0.1); 
-          }
-          .header { 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-            color: white; 
-            padding: 30px; 
-            text-align: center; 
-          }
-          .header h1 { 
-            margin: 0; 
-            font-size: 28px; 
-            font-weight: 700;
-          }
-          .content { 
-            padding: 40px 30px; 
-          }
-          .otp-container {
-            text-align: center;
-            margin: 30px 0;
-          }
-          .otp-code { 
-            font-size: 48px; 
-            font-weight: 900; 
-            color: #667eea; 
-            background: linear-gradient(45deg, #f0f2f5, #ffffff);
-            padding: 25px 40px; 
-            border: 3px solid #667eea; 
-            border-radius: 15px;
-            letter-spacing: 8px;
-            display: inline-block;
-            box-shadow: 0 5px 15px rgba(102, 126, 234, 0.2);
-          }
-          .user-info { 
-            background: linear-gradient(135deg, #e8f5e8, #f0f8f0); 
-            padding: 25px; 
-            border-left: 5px solid #28a745; 
-            margin: 25px 0;
-            border-radius: 10px;
-          }
-          .info-row { 
-            margin: 15px 0; 
-            font-size: 16px; 
-            display: flex;
-            align-items: center;
-          }
-          .info-icon {
-            margin-right: 10px;
-            font-size: 18px;
-          }
-          .warning-box {
-            background: linear-gradient(135deg, #fff3cd, #fef9e7);
-            border: 2px solid #ffc107;
-            border-radius: 10px;
-            padding: 25px;
-            margin: 25px 0;
-          }
-          .footer { 
-            background: #f8f9fa; 
-            text-align: center; 
-            color: #666; 
-            font-size: 14px; 
-            padding: 25px; 
-            border-top: 1px solid #dee2e6;
-          }
-          .btn {
-            display: inline-block;
-            padding: 12px 30px;
-            background: #667eea;
-            color: white;
-            text-decoration: none;
-            border-radius: 25px;
-            font-weight: 600;
-            margin: 10px;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>🎯 ${process.env.COMPANY_NAME || 'EnvatoClone'}</h1>
-            <p style="margin: 10px 0 0 0; font-size: 18px;">New User Registration Request</p>
-          </div>
-          <div class="content">
-            <h2 style="color: #667eea; margin-bottom: 20px;">📝 User Registration Details</h2>
-            <div class="user-info">
-              <div class="info-row">
-                <span class="info-icon">👤</span>
-                <strong>Name:</strong> &nbsp; ${user.name}
-              </div>
-              <div class="info-row">
-                <span class="info-icon">📧</span>
-                <strong>Email:</strong> &nbsp; ${user.email}
-              </div>
-              <div class="info-row">
-                <span class="info-icon">⏰</span>
-                <strong>Registration Time:</strong> &nbsp; ${new Date().toLocaleString()}
-              </div>
-              <div class="info-row">
-                <span class="info-icon">🔒</span>
-                <strong>User ID:</strong> &nbsp; ${user._id}
-              </div>
-            </div>
-            
-            <h2 style="color: #667eea; text-align: center; margin: 30px 0 20px 0;">🔐 Verification OTP</h2>
-            <div class="otp-container">
-              <div class="otp-code">${otp}</div>
-              <p style="margin-top: 15px; color: #666; font-size: 14px;">
-                This OTP expires in 10 minutes
-              </p>
-            </div>
-            
-            <div class="warning-box">
-              <h3 style="margin-top: 0; color: #856404;">⚡ Important Instructions</h3>
-              <ul style="margin: 15px 0; padding-left: 20px;">
-                <li><strong>Valid for 10 minutes only</strong></li>
-                <li>Provide this OTP to user: <strong>${user.email}</strong></li>
-                <li>User must enter this OTP to complete registration</li>
-                <li>Do not share this OTP with anyone else</li>
-              </ul>
-            </div>
-
-            <div style="text-align: center; margin: 30px 0;">
-              <p style="font-size: 16px; color: #555;">
-                Contact the user at: <a href="mailto:${user.email}" style="color: #667eea;">${user.email}</a>
-              </p>
-            </div>
-          </div>
-          <div class="footer">
-            <p><strong>${process.env.COMPANY_NAME || 'EnvatoClone'}</strong> - Automated Registration System</p>
-            <p>Support: <a href="mailto:${process.env.SUPPORT_EMAIL}">${process.env.SUPPORT_EMAIL}</a></p>
-            <p style="margin-top: 15px; font-size: 12px; color: #999;">
-              Generated at: ${new Date().toLocaleString()} | Server Time
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `,
-  };
+// Seconds a user must wait before another OTP can be sent (0 = can send now)
+const getOTPResendWait = (user) => {
+  const now = Date.now();
 
-  console.log('📧 Preparing to send OTP email...');
-  console.log(`📤 From: ${mailOptions.from}`);
-  console.log(`📨 To: ${mailOptions.to}`);
-  console.log(`🔐 OTP: ${otp}`);
+  if (user.otpLastSentAt) {
+    const cooldownLeft = Math.ceil((user.otpLastSentAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000 - now) / 1000);
+    if (cooldownLeft > 0) return cooldownLeft;
+  }
 
-  await sendEmailWithRetry(mailOptions);
+  if (user.otpSendWindowStart && (user.otpSendCount || 0) >= OTP_MAX_SENDS_PER_HOUR) {
+    const windowLeft = Math.ceil((user.otpSendWindowStart.getTime() + 60 * 60 * 1000 - now) / 1000);
+    if (windowLeft > 0) return windowLeft;
+  }
+
+  return 0;
 };
 
+const otpSentMessage = (deliveredTo) => deliveredTo === 'admin'
+  ? 'OTP has been sent to admin for approval.'
+  : 'OTP has been sent to your email.';
+
 // REGISTER ENDPOINT
 router.post('/register', async (req, res) => {
   try {
-    console.log('🔄 Registration request received:', req.body);
+    console.log('🔄 Registration request received:', { name: req.body.name, email: req.body.email });
     const { name, email, password } = req.body;
 
     // Validation
@@ -303,6 +174,17 @@ router.post('/register', async (req, res) => {
           message: 'User already exists and is verified. Please login.'
         });
       } else {
+        // Re-registering must not bypass the resend cooldown
+        const retryAfter = getOTPResendWait(existingUser);
+        if (retryAfter > 0) {
+          return res.status(429).json({
+            success: false,
+            message: `Please wait ${retryAfter} seconds before requesting a new OTP.`,
+            userId: existingUser._id,
+            retryAfter
+          });
+        }
+
         console.log('🔄 Updating existing unverified user');
         // User exists but not verified, update the existing user
         existingUser.name = name.trim();
@@ -310,15 +192,16 @@ router.post('/register', async (req, res) => {
         
         // Generate new OTP
         const otp = generateOTP();
-        existingUser.otp = otp;
-        existingUser.otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+        existingUser.setOTP(otp, OTP_EXPIRY_MINUTES);
+        existingUser.otpDeliveredTo = OTP_VERIFICATION_MODE === 'admin-approval' ? 'admin' : 'user';
         
         await existingUser.save();
         console.log('✅ User updated successfully');
 
-        // Send OTP to admin
+        let emailSent = false;
         try {
-          await sendOTPToAdmin(existingUser, otp);
+          await deliverOTP(existingUser, otp);
+          emailSent = true;
           console.log('📧 OTP email sent successfully');
         } catch (emailError) {
           console.error('❌ Failed to send OTP email:', emailError);
@@ -326,9 +209,11 @@ router.post('/register', async (req, res) => {
 
         return res.status(200).json({
           success: true,
-          message: 'Registration updated! OTP has been sent to admin.',
+          message: `Registration updated! ${otpSentMessage(existingUser.otpDeliveredTo)}`,
           userId: existingUser._id,
-          adminEmail: process.env.ADMIN_EMAIL,
+          verificationMode: OTP_VERIFICATION_MODE,
+          adminEmail: existingUser.otpDeliveredTo === 'admin' ? process.env.ADMIN_EMAIL : undefined,
+          emailSent,
           // FOR TESTING ONLY
           debug: process.env.NODE_ENV === 'development' ? { otp } : undefined
         });
@@ -345,16 +230,16 @@ router.post('/register', async (req, res) => {
 
     // Generate OTP
     const otp = generateOTP();
-    user.otp = otp;
-    user.otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    user.setOTP(otp, OTP_EXPIRY_MINUTES);
+    user.otpDeliveredTo = OTP_VERIFICATION_MODE === 'admin-approval' ? 'admin' : 'user';
 
     await user.save();
     console.log('✅ User created successfully:', user._id);
 
-    // Send OTP to admin
+    // Send OTP (to the user or to admin, depending on verification mode)
     let emailSent = false;
     try {
-      await sendOTPToAdmin(user, otp);
+      await deliverOTP(user, otp);
       emailSent = true;
       console.log('📧 OTP email sent successfully');
     } catch (emailError) {
@@ -365,10 +250,11 @@ router.post('/register', async (req, res) => {
     res.status(201).json({
       success: true,
       message: emailSent 
-        ? 'Registration successful! OTP has been sent to admin.' 
-        : 'Registration successful! Please contact admin for OTP (email service unavailable).',
+        ? `Registration successful! ${otpSentMessage(user.otpDeliveredTo)}`
+        : 'Registration successful! We could not send your OTP right now - please use "resend OTP" in a minute.',
       userId: user._id,
-      adminEmail: process.env.ADMIN_EMAIL,
+      verificationMode: OTP_VERIFICATION_MODE,
+      adminEmail: user.otpDeliveredTo === 'admin' ? process.env.ADMIN_EMAIL : undefined,
       emailSent,
       // FOR TESTING ONLY - Remove in production
       debug: process.env.NODE_ENV === 'development' ? { otp } : undefined
@@ -388,7 +274,7 @@ router.post('/register', async (req, res) => {
 router.post('/verify-otp', async (req, res) => {
   try {
     const { userId, otp } = req.body;
-    console.log('🔄 OTP Verification Request:', { userId, otp });
+    console.log('🔄 OTP Verification Request:', { userId });
 
     // Validation
     if (!userId || !otp) {
@@ -426,39 +312,71 @@ router.post('/verify-otp', async (req, res) => {
     }
 
     // Check OTP expiry
-    if (!user.otpExpiry || new Date() > user.otpExpiry) {
+    if (!user.otp || !user.otpExpiry || new Date() > user.otpExpiry) {
       return res.status(400).json({
         success: false,
-        message: 'OTP has expired. Please request a new registration.'
+        message: 'OTP has expired. Please request a new OTP.',
+        canResend: true
       });
     }
 
-    console.log('🔐 Comparing OTP:', { provided: otp, stored: user.otp });
+    // Too many wrong guesses - the current OTP is burned
+    if ((user.otpAttempts || 0) >= OTP_MAX_ATTEMPTS) {
+      user.clearOTP();
+      await user.save();
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed attempts. Please request a new OTP.',
+        canResend: true
+      });
+    }
 
     // Verify OTP
-    if (user.otp !== otp.toString().trim()) {
+    if (!user.compareOTP(otp)) {
+      user.otpAttempts = (user.otpAttempts || 0) + 1;
+      const attemptsRemaining = Math.max(0, OTP_MAX_ATTEMPTS - user.otpAttempts);
+      if (attemptsRemaining === 0) {
+        user.clearOTP();
+      }
+      await user.save();
+
+      console.log(`❌ Invalid OTP for ${user.email} (${attemptsRemaining} attempts left)`);
+
       return res.status(400).json({
         success: false,
-        message: 'Invalid OTP. Please check and try again.'
+        message: attemptsRemaining > 0
+          ? `Invalid OTP. Please check and try again. ${attemptsRemaining} attempt${attemptsRemaining === 1 ? '' : 's'} remaining.`
+          : 'Invalid OTP. Too many failed attempts - please request a new OTP.',
+        attemptsRemaining,
+        canResend: attemptsRemaining === 0
       });
     }
 
     // OTP is valid - activate user
     user.isVerified = true;
     user.verifiedAt = new Date();
-    user.otp = undefined;
-    user.otpExpiry = undefined;
+    user.clearOTP();
     
     await user.save();
     console.log('✅ User verified successfully:', user.email);
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Welcome email is best-effort - never block verification on it
+    mailer.sendTemplate('welcome', {
+      to: user.email,
+      language: user.preferences?.language,
+      data: { name: user.name },
+      retries: 1
+    }).catch(emailError => console.error('❌ Failed to send welcome email:', emailError.message));
+
+    // Generate JWT + refresh token
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     res.json({
       success: true,
       message: 'OTP verified successfully! Your account is now active.',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
@@ -480,6 +398,90 @@ router.post('/verify-otp', async (req, res) => {
   }
 });
 
+// RESEND OTP ENDPOINT
+router.post('/resend-otp', authLimiter, async (req, res) => {
+  try {
+    const { userId, email } = req.body;
+
+    if (!userId && !email) {
+      return res.status(400).json({
+        success: false,
+        message: 'User ID or email is required'
+      });
+    }
+
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid User ID format'
+      });
+    }
+
+    const user = userId
+      ? await User.findById(userId)
+      : await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already verified. Please login.'
+      });
+    }
+
+    const retryAfter = getOTPResendWait(user);
+    if (retryAfter > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting a new OTP.`,
+        retryAfter
+      });
+    }
+
+    const otp = generateOTP();
+    user.setOTP(otp, OTP_EXPIRY_MINUTES);
+    user.otpDeliveredTo = OTP_VERIFICATION_MODE === 'admin-approval' ? 'admin' : 'user';
+    await user.save();
+
+    try {
+      await deliverOTP(user, otp);
+    } catch (emailError) {
+      console.error('❌ Failed to resend OTP email:', emailError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send OTP email. Please try again later.'
+      });
+    }
+
+    console.log(`📧 OTP resent for ${user.email} (${user.otpSendCount}/${OTP_MAX_SENDS_PER_HOUR} this hour)`);
+
+    res.json({
+      success: true,
+      message: otpSentMessage(user.otpDeliveredTo),
+      userId: user._id,
+      verificationMode: OTP_VERIFICATION_MODE,
+      expiresIn: `${OTP_EXPIRY_MINUTES} minutes`,
+      retryAfter: OTP_RESEND_COOLDOWN_SECONDS,
+      // FOR TESTING ONLY
+      debug: process.env.NODE_ENV === 'development' ? { otp } : undefined
+    });
+
+  } catch (error) {
+    console.error('❌ Resend OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend OTP. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // LOGIN ENDPOINT
 router.post('/login', async (req, res) => {
   try {
@@ -524,12 +526,20 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    if (user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended. Please contact support.',
+        suspended: true
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Generate JWT + refresh token
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     console.log(`✅ User logged in successfully: ${user.email}`);
 
@@ -537,6 +547,8 @@ router.post('/login', async (req, res) => {
       success: true,
       message: 'Login successful!',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
@@ -559,11 +571,328 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// ADMIN LOGIN ENDPOINT
+router.post('/admin/login', authLimiter, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    console.log('🔄 Admin login attempt:', { email });
+
+    // Validation
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    // Find user
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    // Check password before revealing anything about the account
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    if (user.role !== 'admin') {
+      console.warn(`⚠️  Non-admin tried admin login: ${user.email}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin rights required.'
+      });
+    }
+
+    if (!user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account not verified. Please complete OTP verification first.',
+        requiresVerification: true,
+        userId: user._id
+      });
+    }
+
+    if (user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended. Please contact support.',
+        suspended: true
+      });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Generate JWT + refresh token
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+
+    console.log(`✅ Admin logged in successfully: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Admin login successful!',
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        lastLogin: user.lastLogin,
+        isVerified: user.isVerified
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Admin login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// REFRESH TOKEN ENDPOINT (rotates the refresh token on every use)
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const parsed = Session.parseRefreshToken(refreshToken);
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid refresh token is required'
+      });
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please login again.',
+        sessionRevoked: true
+      });
+    }
+
+    // An old (already rotated) token was presented - treat the session as compromised
+    if (!session.matchesRefreshSecret(parsed.secret)) {
+      await session.revoke('reuse_detected');
+      console.warn(`🚨 Refresh token reuse detected for session ${session._id} (user ${session.userId})`);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please login again.',
+        sessionRevoked: true
+      });
+    }
+
+    const user = await User.findById(session.userId).select('_id isSuspended');
+    if (!user) {
+      await session.revoke('logout');
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isSuspended) {
+      await session.revoke('admin');
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended. Please contact support.',
+        suspended: true
+      });
+    }
+
+    const newRefreshToken = await session.rotateRefreshToken();
+
+    res.json({
+      success: true,
+      token: generateToken(user._id, session._id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+
+  } catch (error) {
+    console.error('❌ Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Token refresh failed. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// LOGOUT (current session)
+router.post('/logout', auth, async (req, res) => {
+  try {
+    const session = await Session.findById(req.user.sid);
+    if (session) {
+      await session.revoke('logout');
+    }
+
+    console.log(`👋 User logged out: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// LOGOUT FROM ALL DEVICES
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.userId, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      sessionsRevoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('❌ Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// FORGOT PASSWORD ENDPOINT
+router.post('/forgot-password', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    // Same response whether or not the account exists (no user enumeration)
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !user.isVerified) {
+      console.log('🔍 Password reset requested for unknown/unverified email:', email);
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken(PASSWORD_RESET_EXPIRY_MINUTES);
+    await user.save();
+
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (emailError) {
+      console.error('❌ Failed to send password reset email:', emailError);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpiry = undefined;
+      await user.save();
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send password reset email. Please try again later.'
+      });
+    }
+
+    res.json({
+      ...genericResponse,
+      // FOR TESTING ONLY
+      debug: process.env.NODE_ENV === 'development' ? { resetToken } : undefined
+    });
+
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Password reset request failed. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// RESET PASSWORD ENDPOINT
+router.post('/reset-password', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token and new password are required'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    // Single use - clear token before anything else
+    user.password = password; // Will be hashed by pre-save middleware
+    user.passwordChangedAt = new Date();
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpiry = undefined;
+    await user.save();
+
+    // Invalidate every existing login
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    console.log(`✅ Password reset completed for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully. Please login with your new password.'
+    });
+
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Password reset failed. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // GET USER PROFILE
 router.get('/me', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId)
-      .select('-password -otp -otpExpiry')
+      .select('-password -otp -otpExpiry -resetPasswordToken -resetPasswordExpiry')
       .lean();
 
     if (!user) {
@@ -592,40 +921,20 @@ router.post('/test-email', async (req, res) => {
   try {
     console.log('🔄 Testing email configuration...');
 
-    const testMailOptions = {
-      from: `"${process.env.COMPANY_NAME || 'EnvatoClone'}" <${process.env.EMAIL_USER}>`,
+    const info = await mailer.sendTemplate('test', {
       to: process.env.ADMIN_EMAIL,
-      subject: '✅ Email Configuration Test - EnvatoClone',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background: #f9f9f9;">
-          <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 5px 15px rgba(0,0,0,0.1);">
-            <h2 style="color: #007bff; margin-bottom: 20px;">✅ Email Configuration Test</h2>
-            <p style="font-size: 16px; margin-bottom: 20px;">
-              Congratulations! Your email configuration is working correctly.
-            </p>
-            <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
-              <h3 style="margin-top: 0; color: #495057;">Configuration Details:</h3>
-              <p><strong>📧 From:</strong> ${process.env.EMAIL_USER}</p>
-              <p><strong>📨 To:</strong> ${process.env.ADMIN_EMAIL}</p>
-              <p><strong>⏰ Sent at:</strong> ${new Date().toLocaleString()}</p>
-              <p><strong>🏢 Company:</strong> ${process.env.COMPANY_NAME || 'EnvatoClone'}</p>
-            </div>
-            <div style="background: #d4edda; border: 1px solid #c3e6cb; color: #155724; padding: 15px; border-radius: 5px;">
-              <strong>🎉 Success!</strong> Your email service is ready to send OTP notifications.
-            </div>
-          </div>
-        </div>
-      `
-    };
-
-    await sendEmailWithRetry(testMailOptions);
+      data: { to: process.env.ADMIN_EMAIL, driver: mailer.MAIL_DRIVER }
+    });
 
     res.json({
       success: true,
       message: 'Test email sent successfully! Check your inbox.',
       emailConfig: {
-        from: process.env.EMAIL_USER,
+        driver: mailer.MAIL_DRIVER,
+        from: process.env.MAIL_FROM || process.env.EMAIL_USER,
         to: process.env.ADMIN_EMAIL,
+        messageId: info.messageId,
+        outboxFile: info.outboxFile,
         timestamp: new Date().toISOString()
       }
     });
@@ -636,7 +945,8 @@ router.post('/test-email', async (req, res) => {
       message: 'Failed to send test email',
       error: error.message,
       emailConfig: {
-        from: process.env.EMAIL_USER,
+        driver: mailer.MAIL_DRIVER,
+        from: process.env.MAIL_FROM || process.env.EMAIL_USER,
         to: process.env.ADMIN_EMAIL,
         error: error.message
       }
@@ -673,8 +983,7 @@ router.post('/generate-test-otp', async (req, res) => {
 
     // Generate new OTP
     const otp = generateOTP();
-    user.otp = otp;
-    user.otpExpiry = new Date(Date.now() + 10 * 60 * 1000);
+    user.setOTP(otp, OTP_EXPIRY_MINUTES);
     await user.save();
 
     console.log(`🔐 Test OTP generated for ${user.email}: ${otp}`);
@@ -0,0 +1,67 @@
+// routes/categories.js
+const express = require('express');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+const router = express.Router();
+
+// GET /api/categories - Active category tree with product counts (including subcategories)
+router.get('/', async (req, res) => {
+  try {
+    const counts = await Product.countByCategory(Product.publicFilter());
+
+    res.json({
+      success: true,
+      categories: Category.buildTree({ counts })
+    });
+  } catch (error) {
+    console.error('❌ Categories fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch categories',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/categories/:slug - One active category with its breadcrumb and subcategories
+router.get('/:slug', async (req, res) => {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+    if (!Category.isVisible(slug)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const counts = await Product.countByCategory(Product.publicFilter());
+    const lineage = Category.getLineage(slug);
+
+    // Subtree rooted at this category, with counts
+    const findNode = (nodes) => {
+      for (const node of nodes) {
+        if (node.slug === slug) return node;
+        const found = findNode(node.children);
+        if (found) return found;
+      }
+      return null;
+    };
+
+    res.json({
+      success: true,
+      category: findNode(Category.buildTree({ counts })),
+      breadcrumb: lineage.reverse().map(category => ({ name: category.name, slug: category.slug })),
+      descendantSlugs: Category.getDescendantSlugs(slug, { activeOnly: true })
+    });
+  } catch (error) {
+    console.error('❌ Category fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch category',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
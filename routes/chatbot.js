@@ -2,8 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
+const Category = require('../models/Category');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { processDownload, getQuotaStatus, sendDownloadError, DownloadError } = require('../services/downloadService');
+const { createDownloadLink } = require('../services/downloadLinks');
 
 // Enhanced chat endpoint with better search and responses
 router.post('/chat', async (req, res) => {
@@ -21,9 +24,10 @@ router.post('/chat', async (req, res) => {
     const userId = context?.userId;
     let botResponse = {};
 
-    // Get active products
-    const allProducts = await Product.find({ isActive: true }).sort({ 
+    // Get published products (file URLs are only handed out through signed download links)
+    const allProducts = await Product.find(Product.publicFilter()).select('-downloadUrl -releases -statusHistory -linkHealth').sort({ 
       featured: -1, 
+      'trending.d7': -1,
       downloads: -1, 
       createdAt: -1 
     });
@@ -42,7 +46,7 @@ router.post('/chat', async (req, res) => {
     } 
     // Category-specific searches
     else if (lowerMessage.includes('theme') || lowerMessage.includes('themes')) {
-      const themes = allProducts.filter(p => p.category === 'themes');
+      const themes = allProducts.filter(p => Category.isWithin(p.category, 'themes'));
       
       if (themes.length > 0) {
         botResponse = {
@@ -60,7 +64,7 @@ router.post('/chat', async (req, res) => {
       }
     }
     else if (lowerMessage.includes('plugin') || lowerMessage.includes('plugins')) {
-      const plugins = allProducts.filter(p => p.category === 'plugins');
+      const plugins = allProducts.filter(p => Category.isWithin(p.category, 'plugins'));
       
       if (plugins.length > 0) {
         botResponse = {
@@ -77,8 +81,26 @@ router.post('/chat', async (req, res) => {
         ]);
       }
     }
+    // Popular products: ranked by recent (time-decayed) downloads, not the lifetime counter
+    else if (lowerMessage.includes('popular') || lowerMessage.includes('trending') || lowerMessage.includes('best')) {
+      const trending = allProducts
+        .filter(p => p.trending?.d7 > 0)
+        .sort((a, b) => b.trending.d7 - a.trending.d7);
+
+      if (trending.length > 0) {
+        botResponse = {
+          text: `🔥 Here's what's trending this week:`,
+          products: trending.slice(0, 6)
+        };
+      } else {
+        botResponse = {
+          text: `📉 Nothing has been downloaded recently. Here are our newest products instead:`,
+          products: [...allProducts].sort((a, b) => b.createdAt - a.createdAt).slice(0, 6)
+        };
+      }
+    }
     // Featured products
-    else if (lowerMessage.includes('featured') || lowerMessage.includes('popular') || lowerMessage.includes('best')) {
+    else if (lowerMessage.includes('featured')) {
       const featured = allProducts.filter(p => p.featured);
       
       if (featured.length > 0) {
@@ -185,85 +207,19 @@ Here are some suggestions:`,
 // Enhanced download endpoint with better error handling
 router.post('/download/:productId', auth, async (req, res) => {
   try {
-    const { productId } = req.params;
-    const userId = req.user.id;
-
-    // Validate product
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found in our database.'
-      });
-    }
-
-    if (!product.isActive) {
-      return res.status(400).json({
-        success: false,
-        message: 'This product is currently unavailable for download.'
-      });
-    }
-
-    // Get user
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User account not found.'
-      });
-    }
-
-    // Check daily download limits
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const todayDownloads = user.downloads.filter(download => {
-      const downloadDate = new Date(download.downloadedAt);
-      downloadDate.setHours(0, 0, 0, 0);
-      return downloadDate.getTime() === today.getTime();
+    const { product, download, license, userStats, isRedownload } = await processDownload({
+      userId: req.user.userId,
+      productId: req.params.productId,
+      source: 'chatbot',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
     });
 
-    const DAILY_LIMIT = process.env.DAILY_DOWNLOAD_LIMIT || 10;
-    
-    if (todayDownloads.length >= DAILY_LIMIT) {
-      const nextReset = new Date(today.getTime() + 24 * 60 * 60 * 1000);
-      return res.status(429).json({
-        success: false,
-        message: `🚫 You've reached your daily download limit of ${DAILY_LIMIT} products. Your downloads will reset tomorrow!`,
-        limitReached: true,
-        remainingDownloads: 0,
-        nextResetTime: nextReset,
-        todayDownloads: todayDownloads.length,
-        dailyLimit: DAILY_LIMIT
-      });
-    }
-
-    // Check if already downloaded today (allow re-download)
-    const alreadyDownloadedToday = todayDownloads.find(
-      download => download.productId.toString() === productId
-    );
-
-    let message;
-    if (alreadyDownloadedToday) {
-      message = `✅ "${product.title}" - Download link ready! (Previously downloaded today)`;
-    } else {
-      // Add to download history
-      user.downloads.push({
-        productId: product._id,
-        productTitle: product.title,
-        productCategory: product.category,
-        downloadedAt: new Date()
-      });
-
-      // Update product download count
-      product.downloads = (product.downloads || 0) + 1;
-      
-      await Promise.all([user.save(), product.save()]);
-      
-      message = `🎉 "${product.title}" is ready for download! Starting download now...`;
-    }
+    const link = await createDownloadLink(download, req);
 
-    const remainingDownloads = DAILY_LIMIT - (alreadyDownloadedToday ? todayDownloads.length : todayDownloads.length + 1);
+    const message = isRedownload
+      ? `✅ "${product.title}" - Download link ready! (Previously downloaded)`
+      : `🎉 "${product.title}" is ready for download! Starting download now...`;
 
     res.json({
       success: true,
@@ -275,28 +231,35 @@ router.post('/download/:productId', auth, async (req, res) => {
         downloads: product.downloads,
         version: product.version
       },
-      downloadUrl: product.downloadUrl,
-      remainingDownloads: Math.max(0, remainingDownloads),
-      todayDownloads: alreadyDownloadedToday ? todayDownloads.length : todayDownloads.length + 1,
-      dailyLimit: DAILY_LIMIT,
-      isRedownload: !!alreadyDownloadedToday
+      downloadUrl: link.url,
+      downloadUrlExpiresAt: link.expiresAt,
+      license: license ? license.summary() : undefined,
+      remainingDownloads: userStats.daily.remaining,
+      todayDownloads: userStats.daily.used,
+      dailyLimit: userStats.daily.limit,
+      monthlyRemaining: userStats.monthly.remaining,
+      monthlyLimit: userStats.monthly.limit,
+      isRedownload
     });
 
   } catch (error) {
-    console.error('Download error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Download service is temporarily unavailable. Please try again later.',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    if (error instanceof DownloadError && error.status === 429) {
+      return res.status(429).json({
+        success: false,
+        message: `🚫 ${error.message}`,
+        limitReached: true,
+        remainingDownloads: 0,
+        ...error.details
+      });
+    }
+    sendDownloadError(res, error, 'Download service is temporarily unavailable. Please try again later.');
   }
 });
 
 // Enhanced stats endpoint
 router.get('/stats', auth, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const user = await User.findById(userId);
+    const user = await User.findById(req.user.userId);
     
     if (!user) {
       return res.status(404).json({
@@ -320,8 +283,7 @@ router.get('/stats', auth, async (req, res) => {
       return new Date(download.downloadedAt) >= weekAgo;
     });
 
-    const DAILY_LIMIT = process.env.DAILY_DOWNLOAD_LIMIT || 10;
-    const remainingDownloads = DAILY_LIMIT - todayDownloads.length;
+    const downloadCheck = await getQuotaStatus(user);
 
     // Category breakdown
     const categoryStats = user.downloads.reduce((acc, download) => {
@@ -336,8 +298,10 @@ router.get('/stats', auth, async (req, res) => {
         totalDownloads: user.downloads.length,
         todayDownloads: todayDownloads.length,
         weekDownloads: weekDownloads.length,
-        remainingDownloads: Math.max(0, remainingDownloads),
-        dailyLimit: DAILY_LIMIT,
+        remainingDownloads: downloadCheck.daily.remaining,
+        dailyLimit: downloadCheck.daily.limit,
+        monthlyRemaining: downloadCheck.monthly.remaining,
+        monthlyLimit: downloadCheck.monthly.limit,
         nextResetTime: new Date(today.getTime() + 24 * 60 * 60 * 1000),
         categoryBreakdown: categoryStats,
         averageDownloadsPerDay: user.downloads.length / Math.max(1, Math.floor((Date.now() - new Date(user.createdAt)) / (1000 * 60 * 60 * 24)))
@@ -384,8 +348,9 @@ function performAdvancedSearch(query, products) {
       product.title,
       product.description,
       product.category,
+      product.author?.name,
       ...(product.tags || [])
-    ].join(' ').toLowerCase();
+    ].filter(Boolean).join(' ').toLowerCase();
 
     // Exact match gets highest priority
     if (searchableText.includes(query)) {
@@ -0,0 +1,459 @@
+// routes/collections.js
+// Favorites (wishlist) and named product collections. Mounted at /api/user next to routes/user.js.
+const express = require('express');
+const mongoose = require('mongoose');
+const Favorite = require('../models/Favorite');
+const Collection = require('../models/Collection');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+const PRODUCT_CARD_FIELDS = ['title', 'slug', 'category', 'imageUrl', 'previewUrl', 'version', 'featured', 'downloads', 'rating'];
+
+// Saved products are loaded even when unpublished or in the trash, so the user can still see and remove them
+const savedProductPopulate = (path) => ({
+  path,
+  select: [...PRODUCT_CARD_FIELDS, 'status', 'publishAt', 'unpublishAt', 'deletedAt'].join(' '),
+  options: { withDeleted: true }
+});
+
+const productCard = (product) => PRODUCT_CARD_FIELDS.reduce((card, field) => {
+  card[field] = product[field];
+  return card;
+}, { _id: product._id });
+
+// Saved entry -> { productId, product (null unless published), available }
+const savedProduct = (ref) => {
+  const product = ref && ref._id ? ref : null;
+  const available = Boolean(product && product.isPubliclyVisible());
+  return {
+    productId: product ? product._id : ref,
+    product: available ? productCard(product) : null,
+    available
+  };
+};
+
+const shareUrl = (collection) => collection.shareToken
+  ? `${process.env.CLIENT_URL || 'http://localhost:3000'}/collections/shared/${collection.shareToken}`
+  : null;
+
+const sendCollectionError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const invalidId = (res, message) => res.status(400).json({
+  success: false,
+  message
+});
+
+// Products that can be saved are the ones the public can see
+const findVisibleProduct = (productId) =>
+  Product.findOne({ _id: productId, ...Product.publicFilter() }).select('_id title');
+
+const collectionItems = (collection) => collection.items.map(item => ({
+  ...savedProduct(item.productId),
+  note: item.note,
+  addedAt: item.addedAt
+}));
+
+const collectionSummary = (collection) => ({
+  id: collection._id,
+  name: collection.name,
+  description: collection.description,
+  itemCount: collection.items.length,
+  isShared: Boolean(collection.shareToken),
+  shareUrl: shareUrl(collection),
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt
+});
+
+// Load the current user's :collectionId into req.collection
+const loadCollection = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.collectionId)) {
+      return invalidId(res, 'Invalid collection ID');
+    }
+
+    const collection = await Collection.findOne({ _id: req.params.collectionId, userId: req.user.userId });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    req.collection = collection;
+    next();
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to load collection');
+  }
+};
+
+// ===== Favorites =====
+
+// GET /api/user/favorites - Favorited products, newest first. Query: page, limit
+router.get('/favorites', auth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = { userId: req.user.userId };
+
+    const [favorites, total] = await Promise.all([
+      Favorite.find(query)
+        .populate(savedProductPopulate('productId'))
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Favorite.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      favorites: favorites.map(favorite => ({
+        ...savedProduct(favorite.productId),
+        favoritedAt: favorite.createdAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to fetch favorites');
+  }
+});
+
+// POST /api/user/favorites/:productId - Favorite a product
+router.post('/favorites/:productId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return invalidId(res, 'Invalid product ID');
+    }
+
+    const product = await findVisibleProduct(req.params.productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Upsert so favoriting twice is harmless
+    const result = await Favorite.updateOne(
+      { userId: req.user.userId, productId: product._id },
+      { $setOnInsert: { userId: req.user.userId, productId: product._id } },
+      { upsert: true }
+    );
+    const added = result.upsertedCount > 0;
+
+    res.status(added ? 201 : 200).json({
+      success: true,
+      message: added ? 'Added to favorites' : 'Already in favorites',
+      isFavorited: true
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to add favorite');
+  }
+});
+
+// DELETE /api/user/favorites/:productId - Unfavorite a product
+router.delete('/favorites/:productId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return invalidId(res, 'Invalid product ID');
+    }
+
+    const result = await Favorite.deleteOne({ userId: req.user.userId, productId: req.params.productId });
+
+    res.json({
+      success: true,
+      message: result.deletedCount > 0 ? 'Removed from favorites' : 'Product was not in favorites',
+      isFavorited: false
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to remove favorite');
+  }
+});
+
+// ===== Collections =====
+
+// GET /api/user/collections - The user's collections
+router.get('/collections', auth, async (req, res) => {
+  try {
+    const collections = await Collection.find({ userId: req.user.userId }).sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      collections: collections.map(collectionSummary),
+      limits: {
+        maxCollections: Collection.MAX_COLLECTIONS_PER_USER,
+        maxItemsPerCollection: Collection.MAX_COLLECTION_ITEMS
+      }
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to fetch collections');
+  }
+});
+
+// POST /api/user/collections - Create a collection. Body: { name, description, productIds }
+router.post('/collections', auth, async (req, res) => {
+  try {
+    const { name, description, productIds = [] } = req.body;
+
+    if (!Array.isArray(productIds) || !productIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return invalidId(res, 'productIds must be an array of product IDs');
+    }
+
+    const count = await Collection.countDocuments({ userId: req.user.userId });
+    if (count >= Collection.MAX_COLLECTIONS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${Collection.MAX_COLLECTIONS_PER_USER} collections`
+      });
+    }
+
+    // Keep the given order, drop duplicates and products that aren't published
+    const uniqueIds = [...new Set(productIds.map(String))];
+    const visible = await Product.find({ _id: { $in: uniqueIds }, ...Product.publicFilter() }).select('_id').lean();
+    const visibleIds = new Set(visible.map(product => product._id.toString()));
+
+    const collection = await Collection.create({
+      userId: req.user.userId,
+      name,
+      description,
+      items: uniqueIds.filter(id => visibleIds.has(id)).map(productId => ({ productId }))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      collection: collectionSummary(collection),
+      skippedProductIds: uniqueIds.filter(id => !visibleIds.has(id))
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to create collection');
+  }
+});
+
+// GET /api/user/collections/shared/:token - Public, read-only view of a shared collection (no auth)
+router.get('/collections/shared/:token', async (req, res) => {
+  try {
+    const collection = await Collection.findOne({ shareToken: String(req.params.token) })
+      .populate('userId', 'name')
+      .populate(savedProductPopulate('items.productId'));
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shared collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      collection: {
+        name: collection.name,
+        description: collection.description,
+        owner: collection.userId ? collection.userId.name : null,
+        updatedAt: collection.updatedAt,
+        products: collectionItems(collection)
+          .filter(item => item.available)
+          .map(item => ({ ...item.product, note: item.note }))
+      }
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to fetch shared collection');
+  }
+});
+
+// GET /api/user/collections/:collectionId - A collection with its products in order
+router.get('/collections/:collectionId', auth, loadCollection, async (req, res) => {
+  try {
+    await req.collection.populate(savedProductPopulate('items.productId'));
+
+    res.json({
+      success: true,
+      collection: {
+        ...collectionSummary(req.collection),
+        items: collectionItems(req.collection)
+      }
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to fetch collection');
+  }
+});
+
+// PUT /api/user/collections/:collectionId - Rename / describe a collection. Body: { name, description }
+router.put('/collections/:collectionId', auth, loadCollection, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    if (typeof name !== 'undefined') req.collection.name = name;
+    if (typeof description !== 'undefined') req.collection.description = description;
+
+    await req.collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      collection: collectionSummary(req.collection)
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to update collection');
+  }
+});
+
+// DELETE /api/user/collections/:collectionId - Delete a collection (and its share link)
+router.delete('/collections/:collectionId', auth, loadCollection, async (req, res) => {
+  try {
+    await req.collection.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to delete collection');
+  }
+});
+
+// POST /api/user/collections/:collectionId/items - Add a product. Body: { productId, note, position (0-based, default end) }
+router.post('/collections/:collectionId/items', auth, loadCollection, async (req, res) => {
+  try {
+    const { productId, note, position } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return invalidId(res, 'Invalid product ID');
+    }
+    if (req.collection.hasProduct(productId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Product is already in this collection'
+      });
+    }
+
+    const product = await findVisibleProduct(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const index = Number.isInteger(position)
+      ? Math.min(Math.max(position, 0), req.collection.items.length)
+      : req.collection.items.length;
+    req.collection.items.splice(index, 0, { productId: product._id, note });
+
+    await req.collection.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${product.title} added to ${req.collection.name}`,
+      collection: collectionSummary(req.collection)
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to add product to collection');
+  }
+});
+
+// DELETE /api/user/collections/:collectionId/items/:productId - Remove a product
+router.delete('/collections/:collectionId/items/:productId', auth, loadCollection, async (req, res) => {
+  try {
+    if (!req.collection.hasProduct(req.params.productId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product is not in this collection'
+      });
+    }
+
+    req.collection.items = req.collection.items.filter(item => item.productId.toString() !== req.params.productId);
+    await req.collection.save();
+
+    res.json({
+      success: true,
+      message: 'Product removed from collection',
+      collection: collectionSummary(req.collection)
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to remove product from collection');
+  }
+});
+
+// PUT /api/user/collections/:collectionId/order - Reorder. Body: { productIds } (every product in the collection, new order)
+router.put('/collections/:collectionId/order', auth, loadCollection, async (req, res) => {
+  try {
+    const { productIds } = req.body;
+    const current = req.collection.items.map(item => item.productId.toString());
+
+    if (!Array.isArray(productIds) ||
+        productIds.length !== current.length ||
+        new Set(productIds.map(String)).size !== current.length ||
+        !productIds.every(id => current.includes(String(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'productIds must list every product in the collection exactly once'
+      });
+    }
+
+    const byId = new Map(req.collection.items.map(item => [item.productId.toString(), item]));
+    req.collection.items = productIds.map(id => byId.get(String(id)));
+    await req.collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection reordered',
+      productIds: req.collection.items.map(item => item.productId)
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to reorder collection');
+  }
+});
+
+// POST /api/user/collections/:collectionId/share - Turn on the public read-only link
+router.post('/collections/:collectionId/share', auth, loadCollection, async (req, res) => {
+  try {
+    req.collection.enableSharing();
+    await req.collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection is now shared',
+      shareToken: req.collection.shareToken,
+      shareUrl: shareUrl(req.collection)
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to share collection');
+  }
+});
+
+// DELETE /api/user/collections/:collectionId/share - Revoke the public link (a later share gets a new one)
+router.delete('/collections/:collectionId/share', auth, loadCollection, async (req, res) => {
+  try {
+    req.collection.disableSharing();
+    await req.collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection is no longer shared'
+    });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to stop sharing collection');
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,10 @@
 // routes/download.js
 const express = require('express');
-const mongoose = require('mongoose');
 const User = require('../models/User');
-const Product = require('../models/Product');
 const Download = require('../models/Download');
 const auth = require('../middleware/auth');
+const { processDownload, getQuotaStatus, sendDownloadError } = require('../services/downloadService');
+const { createDownloadLink, redeemDownloadToken, deliverFile } = require('../services/downloadLinks');
 
 const router = express.Router();
 
@@ -23,11 +23,7 @@ router.get('/status', auth, async (req, res) => {
       });
     }
 
-    const downloadStatus = user.canDownload();
-    
-    if (downloadStatus.dailyReset || downloadStatus.monthlyReset) {
-      await user.save();
-    }
+    const downloadStatus = await getQuotaStatus(user);
 
     console.log(`✅ Status for ${user.email}:`, {
       daily: `${downloadStatus.daily.used}/${downloadStatus.daily.limit}`,
@@ -41,6 +37,7 @@ router.get('/status', auth, async (req, res) => {
         userId: user._id,
         email: user.email,
         subscription: downloadStatus.subscription,
+        plan: downloadStatus.plan,
         subscriptionStatus: downloadStatus.subscriptionStatus,
         daily: downloadStatus.daily,
         monthly: downloadStatus.monthly,
@@ -76,7 +73,11 @@ router.get('/history', auth, async (req, res) => {
     const skip = (page - 1) * limit;
 
     const downloads = await Download.find({ userId: req.user.userId })
-      .populate('productId', 'title category previewUrl downloadUrl downloads imageUrl image')
+      .populate({
+        path: 'productId',
+        select: 'title category previewUrl downloads imageUrl image deletedAt',
+        options: { withDeleted: true }
+      })
       .sort({ downloadDate: -1 })
       .skip(skip)
       .limit(limit)
@@ -91,7 +92,10 @@ router.get('/history', auth, async (req, res) => {
       success: true,
       downloads: downloads.map(download => ({
         _id: download._id,
-        productId: download.productId,
+        // Deleted products are still listed by title; purged ones only have the title stored on the download
+        productId: download.productId || { _id: null, title: download.productTitle || 'Deleted product' },
+        productDeleted: !download.productId || Boolean(download.productId.deletedAt),
+        version: download.version,
         downloadDate: download.downloadDate,
         userId: download.userId
       })),
@@ -114,198 +118,79 @@ router.get('/history', auth, async (req, res) => {
   }
 });
 
-// POST /api/download/:productId - NO RATE LIMITING, pure business logic
-router.post('/:productId', auth, async (req, res) => {
-  const session = await mongoose.startSession();
-  
+// GET /api/download/file/:token - Redeem a signed download link (single use, short-lived)
+// No auth header needed (browsers follow the link directly); the token is bound to the user and Download record
+router.get('/file/:token', async (req, res) => {
   try {
-    const { productId } = req.params;
-    console.log('🔄 Download request for product:', productId, 'by user:', req.user.userId);
-
-    if (!mongoose.Types.ObjectId.isValid(productId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid product ID format'
-      });
-    }
-
-    await session.startTransaction();
+    const download = await redeemDownloadToken(req.params.token, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
-    const user = await User.findById(req.user.userId).session(session);
-    if (!user) {
-      await session.abortTransaction();
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+    await deliverFile(download, res);
+  } catch (error) {
+    sendDownloadError(res, error, 'Failed to deliver download');
+  }
+});
 
-    if (!user.isVerified) {
-      await session.abortTransaction();
-      return res.status(403).json({
-        success: false,
-        message: 'Please verify your email to download products',
-        requiresVerification: true
-      });
-    }
+// POST /api/download/:productId - NO RATE LIMITING, pure business logic
+// Body (optional): { version } to download a specific release instead of the current one
+router.post('/:productId', auth, async (req, res) => {
+  try {
+    console.log('🔄 Download request for product:', req.params.productId, 'by user:', req.user.userId);
 
-    // Check BUSINESS LOGIC download limits (15/day, 350/month free, 500/month premium)
-    const downloadCheck = user.canDownload();
-    
-    console.log('📊 Download check:', {
-      email: user.email,
-      dailyUsed: downloadCheck.daily.used,
-      dailyLimit: downloadCheck.daily.limit,
-      monthlyUsed: downloadCheck.monthly.used,
-      monthlyLimit: downloadCheck.monthly.limit,
-      canDownload: downloadCheck.canDownload,
-      reason: downloadCheck.reason
+    const { product, release, download, license, userStats, isRedownload } = await processDownload({
+      userId: req.user.userId,
+      productId: req.params.productId,
+      version: req.body && req.body.version ? String(req.body.version) : undefined,
+      source: 'web',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
     });
-    
-    // Business logic check - NOT rate limiting
-    if (!downloadCheck.canDownload) {
-      await session.abortTransaction();
-      
-      let message = '';
-      let resetInfo = {};
-      
-      if (downloadCheck.daily.remaining <= 0) {
-        message = `Daily limit reached! You have used all ${downloadCheck.daily.limit} downloads today. Your limit will reset in 24 hours.`;
-        const tomorrow = new Date();
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(0, 0, 0, 0);
-        resetInfo = {
-          type: 'daily',
-          resetTime: tomorrow.toISOString(),
-          hoursUntilReset: Math.ceil((tomorrow - new Date()) / (1000 * 60 * 60))
-        };
-      } else if (downloadCheck.monthly.remaining <= 0) {
-        message = `Monthly limit reached! You have used all ${downloadCheck.monthly.limit} downloads this month. ${downloadCheck.subscription === 'free' ? 'Upgrade to premium for 500 downloads per month!' : 'Your limit will reset next month.'}`;
-        const nextMonth = new Date();
-        nextMonth.setMonth(nextMonth.getMonth() + 1);
-        nextMonth.setDate(1);
-        nextMonth.setHours(0, 0, 0, 0);
-        resetInfo = {
-          type: 'monthly',
-          resetTime: nextMonth.toISOString(),
-          daysUntilReset: Math.ceil((nextMonth - new Date()) / (1000 * 60 * 60 * 24))
-        };
-      }
-      
-      return res.status(429).json({
-        success: false,
-        message,
-        error: 'Download limit exceeded',
-        limits: {
-          daily: downloadCheck.daily,
-          monthly: downloadCheck.monthly,
-          subscription: downloadCheck.subscription
-        },
-        resetInfo,
-        canUpgrade: downloadCheck.subscription === 'free'
-      });
-    }
 
-    const product = await Product.findById(productId).session(session);
-    if (!product || !product.isActive) {
-      await session.abortTransaction();
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found or inactive'
-      });
-    }
+    const link = await createDownloadLink(download, req);
 
-    // Check for recent downloads (only to prevent spam - NOT business limit)
-    const thirtyMinutesAgo = new Date(Date.now() - 30 * 60 * 1000); // Reduced from 1 hour to 30 minutes
-    const existingRecentDownload = await Download.findOne({
-      userId: req.user.userId,
-      productId: productId,
-      downloadDate: { $gte: thirtyMinutesAgo }
-    }).session(session);
-
-    if (existingRecentDownload) {
-      await session.abortTransaction();
-      console.log('🔄 User re-downloading same product within 30 minutes');
-      
+    if (isRedownload) {
       return res.json({
         success: true,
         message: `You recently downloaded "${product.title}". Here's the download link again!`,
-        downloadUrl: product.downloadUrl,
+        downloadUrl: link.url,
+        downloadUrlExpiresAt: link.expiresAt,
         product: {
           id: product._id,
           title: product.title,
-          category: product.category
+          category: product.category,
+          version: release.version
         },
-        userStats: downloadCheck,
+        license: license ? license.summary() : undefined,
+        userStats,
         isRedownload: true
       });
     }
 
-    // Create download record
-    const download = new Download({
-      userId: req.user.userId,
-      productId: productId,
-      downloadDate: new Date(),
-      ipAddress: req.ip || 'unknown',
-      userAgent: req.get('User-Agent') || 'unknown',
-      downloadUrl: product.downloadUrl
-    });
-
-    await download.save({ session });
-
-    // Update user download count (business logic)
-    await user.incrementDownloadCount({
-      productId: product._id,
-      productTitle: product.title,
-      productCategory: product.category,
-      downloadSource: 'web'
-    });
-
-    // Update product download count
-    product.downloads = (product.downloads || 0) + 1;
-    await product.save({ session });
-
-    await session.commitTransaction();
-    
-    const updatedDownloadCheck = user.canDownload();
-
-    console.log('✅ Download successful (NO rate limiting):', {
-      userEmail: user.email,
-      productTitle: product.title,
-      newDailyCount: updatedDownloadCheck.daily.used,
-      newMonthlyCount: updatedDownloadCheck.monthly.used,
-      dailyRemaining: updatedDownloadCheck.daily.remaining,
-      monthlyRemaining: updatedDownloadCheck.monthly.remaining
-    });
-
     res.json({
       success: true,
       message: `🎉 "${product.title}" download started successfully!`,
-      downloadUrl: product.downloadUrl,
+      downloadUrl: link.url,
+      downloadUrlExpiresAt: link.expiresAt,
       product: {
         id: product._id,
         title: product.title,
-        category: product.category
+        category: product.category,
+        version: release.version
       },
-      userStats: updatedDownloadCheck,
+      license: license ? license.summary() : undefined,
+      userStats,
       downloadInfo: {
         downloadId: download._id,
         downloadDate: download.downloadDate,
-        dailyRemaining: updatedDownloadCheck.daily.remaining,
-        monthlyRemaining: updatedDownloadCheck.monthly.remaining
+        dailyRemaining: userStats.daily.remaining,
+        monthlyRemaining: userStats.monthly.remaining
       }
     });
 
   } catch (error) {
-    await session.abortTransaction();
-    console.error('❌ Download error:', error);
-    
-    res.status(500).json({
-      success: false,
-      message: 'Download failed due to server error'
-    });
-  } finally {
-    session.endSession();
+    sendDownloadError(res, error);
   }
 });
 
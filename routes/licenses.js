@@ -0,0 +1,150 @@
+// routes/licenses.js
+// Public endpoints called by installed themes/plugins with their license key
+const express = require('express');
+const mongoose = require('mongoose');
+const License = require('../models/License');
+
+const router = express.Router();
+
+// Validate { key, domain } from the request body. Sends a 400/404 and returns null when invalid.
+const loadLicenseFromBody = async (req, res) => {
+  const key = License.normalizeKey(req.body?.key);
+  const domain = License.normalizeDomain(req.body?.domain);
+
+  if (!key || !domain) {
+    res.status(400).json({
+      success: false,
+      message: key ? 'A valid domain is required' : 'License key is required'
+    });
+    return null;
+  }
+
+  const license = await License.findOne({ key }).populate({
+    path: 'productId',
+    select: 'title slug version',
+    options: { withDeleted: true }
+  });
+  if (!license) {
+    res.status(404).json({
+      success: false,
+      valid: false,
+      message: 'License key not found'
+    });
+    return null;
+  }
+
+  return { license, domain };
+};
+
+const licenseProduct = (license) => license.productId
+  ? { id: license.productId._id, title: license.productId.title, slug: license.productId.slug, version: license.productId.version }
+  : { id: null, title: license.productTitle };
+
+// POST /api/licenses/verify - { key, domain, productId? }
+// Activates the key for the domain on first use (within maxActivations); later calls just confirm it
+router.post('/verify', async (req, res) => {
+  try {
+    const loaded = await loadLicenseFromBody(req, res);
+    if (!loaded) return;
+    const { license, domain } = loaded;
+
+    // Optional: the calling plugin can make sure the key belongs to it
+    const productId = req.body.productId;
+    if (productId && (!mongoose.Types.ObjectId.isValid(productId) || !license.productId || license.productId._id.toString() !== String(productId))) {
+      return res.status(403).json({
+        success: false,
+        valid: false,
+        message: 'This license key is not for this product'
+      });
+    }
+
+    const now = new Date();
+    let activated = false;
+
+    if (license.hasActivation(domain)) {
+      await License.updateOne(
+        { _id: license._id, 'activations.domain': domain },
+        { $set: { 'activations.$.lastVerifiedAt': now } }
+      );
+    } else {
+      // Conditional push so parallel activations can't go over the limit:
+      // activations.<max-1> not existing means fewer than max domains are active
+      const filter = { _id: license._id, 'activations.domain': { $ne: domain } };
+      if (license.maxActivations > 0) {
+        filter[`activations.${license.maxActivations - 1}`] = { $exists: false };
+      }
+      const result = await License.updateOne(filter, {
+        $push: { activations: { domain, activatedAt: now, lastVerifiedAt: now } }
+      });
+
+      if (result.modifiedCount === 0) {
+        const current = await License.findById(license._id).select('activations');
+        if (!current || !current.hasActivation(domain)) {
+          return res.status(403).json({
+            success: false,
+            valid: false,
+            message: `Activation limit reached (${license.maxActivations} domain${license.maxActivations === 1 ? '' : 's'}). Deactivate another domain first.`,
+            maxActivations: license.maxActivations,
+            activeDomains: (current || license).activations.length
+          });
+        }
+      } else {
+        activated = true;
+        console.log(`🔑 License ${license.key.slice(0, 5)}… activated on ${domain}`);
+      }
+    }
+
+    const activeDomains = license.activations.length + (activated ? 1 : 0);
+
+    res.json({
+      success: true,
+      valid: true,
+      activated,
+      domain,
+      product: licenseProduct(license),
+      maxActivations: license.maxActivations,
+      activeDomains
+    });
+  } catch (error) {
+    console.error('❌ License verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify license',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/licenses/deactivate - { key, domain } e.g. when the plugin is uninstalled
+router.post('/deactivate', async (req, res) => {
+  try {
+    const loaded = await loadLicenseFromBody(req, res);
+    if (!loaded) return;
+    const { license, domain } = loaded;
+
+    const result = await License.updateOne({ _id: license._id }, { $pull: { activations: { domain } } });
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'This license is not active on that domain'
+      });
+    }
+
+    console.log(`🔑 License ${license.key.slice(0, 5)}… deactivated on ${domain}`);
+
+    res.json({
+      success: true,
+      message: 'Domain deactivated',
+      domain
+    });
+  } catch (error) {
+    console.error('❌ License deactivation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate license',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+// routes/plans.js
+const express = require('express');
+const Plan = require('../models/Plan');
+
+const router = express.Router();
+
+const PUBLIC_PLAN_FIELDS = 'name slug description dailyLimit monthlyLimit price currency durationDays allowedCategories perks isDefault sortOrder';
+
+// GET /api/plans - Active subscription plans (public)
+router.get('/', async (req, res) => {
+  try {
+    const plans = await Plan.find({ isActive: true })
+      .select(PUBLIC_PLAN_FIELDS)
+      .sort({ sortOrder: 1, price: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      plans
+    });
+  } catch (error) {
+    console.error('❌ Plans fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plans',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/plans/:slug - Single active plan
+router.get('/:slug', async (req, res) => {
+  try {
+    const plan = await Plan.findOne({ slug: String(req.params.slug).toLowerCase(), isActive: true })
+      .select(PUBLIC_PLAN_FIELDS)
+      .lean();
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      plan
+    });
+  } catch (error) {
+    console.error('❌ Plan fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -1,30 +1,131 @@
 // routes/products.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Asset = require('../models/Asset');
+const Favorite = require('../models/Favorite');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
 const adminAuth = require('../middleware/adminAuth');
+const { processDownload, sendDownloadError } = require('../services/downloadService');
+const { createDownloadLink } = require('../services/downloadLinks');
+const { queueProductUpdate } = require('../services/productUpdates');
+const { handleUpload } = require('../services/fileStorage');
+const { ImportError, EXPORT_COLUMNS, parseImportFile, importProducts, toExportRow, toCsv } = require('../services/catalogTransfer');
+const { TRASH_RETENTION_DAYS, purgeDate, purgeExpiredTrash } = require('../services/productTrash');
+const { STATUS_TRANSITIONS, WorkflowError, applyStatusChange } = require('../services/productWorkflow');
+const { getRelatedProducts } = require('../services/recommendations');
+const { TRENDING_WINDOWS, DEFAULT_WINDOW, trendingSort } = require('../services/trending');
 
-// Get all products (public)
-router.get('/', async (req, res) => {
+// Public responses never include the file URL; it is only handed out through signed download links
+// (release history, which holds file URLs too, is served by /:id/versions)
+const PUBLIC_PRODUCT_PROJECTION = '-__v -downloadUrl -releases -compatibilityKeys -statusHistory -linkHealth';
+
+// Add isFavorited to each product when the request carries a valid token (optionalAuth)
+const withFavoriteFlags = async (req, products) => {
+  if (!req.user) return products;
+  const favorited = await Favorite.favoritedIds(req.user.userId, products.map(product => product._id));
+  return products.map(product => ({
+    ...product.toObject(),
+    isFavorited: favorited.has(product._id.toString())
+  }));
+};
+
+// Link files uploaded through /api/uploads: packageAssetId / imageAssetId (null unlinks).
+// A hosted package takes precedence over downloadUrl. Returns an error message or null.
+const applyHostedAssets = async (product, body) => {
+  const links = [
+    { field: 'packageAssetId', kind: 'package', path: 'packageAsset' },
+    { field: 'imageAssetId', kind: 'image', path: 'imageAsset' }
+  ];
+
+  for (const { field, kind, path } of links) {
+    if (typeof body[field] === 'undefined') continue;
+
+    if (!body[field]) {
+      product[path] = undefined;
+      continue;
+    }
+    if (!mongoose.Types.ObjectId.isValid(body[field])) {
+      return `Invalid ${field}`;
+    }
+
+    const asset = await Asset.findOne({ _id: body[field], kind });
+    if (!asset) {
+      return `Uploaded ${kind} not found`;
+    }
+
+    product[path] = asset._id;
+    if (kind === 'image') product.imageUrl = asset.url;
+  }
+
+  return null;
+};
+
+// Validation / duplicate key errors on product save -> 400 response (returns true when handled)
+const sendProductSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: messages.join(', ')
+    });
+    return true;
+  }
+  if (error.code === 11000 && error.keyPattern?.slug) {
+    res.status(400).json({
+      success: false,
+      message: 'Product with this slug already exists'
+    });
+    return true;
+  }
+  return false;
+};
+
+const LIST_SORTS = {
+  newest: { createdAt: -1 },
+  rating: { 'rating.average': -1, 'rating.count': -1, createdAt: -1 },
+  downloads: { downloads: -1, createdAt: -1 },
+  trending: trendingSort()
+};
+
+// Get all products (public). Query: category (slug, includes subcategories), sort (newest | rating | downloads | trending),
+// window (24h | 7d | 30d, with sort=trending), page, limit
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 12;
     const category = req.query.category;
     const skip = (page - 1) * limit;
+    const sort = req.query.sort || 'newest';
+
+    if (!Object.keys(LIST_SORTS).includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: ${Object.keys(LIST_SORTS).join(', ')}`
+      });
+    }
+    if (sort === 'trending' && req.query.window && !TRENDING_WINDOWS[req.query.window]) {
+      return res.status(400).json({
+        success: false,
+        message: `window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}`
+      });
+    }
 
     // Build query
-    let query = { isActive: true };
+    let query = Product.publicFilter();
     if (category && category !== 'all') {
-      query.category = category;
+      query.category = { $in: Category.getDescendantSlugs(String(category).toLowerCase(), { activeOnly: true }) };
     }
 
     // Get products with pagination
     const products = await Product.find(query)
-      .sort({ createdAt: -1 })
+      .sort(sort === 'trending' ? trendingSort(req.query.window) : LIST_SORTS[sort])
       .skip(skip)
       .limit(limit)
-      .select('-__v');
+      .select(PUBLIC_PRODUCT_PROJECTION);
 
     // Get total count
     const total = await Product.countDocuments(query);
@@ -32,7 +133,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      products,
+      products: await withFavoriteFlags(req, products),
       pagination: {
         currentPage: page,
         totalPages,
@@ -52,16 +153,125 @@ router.get('/', async (req, res) => {
   }
 });
 
+const SEARCH_SORTS = ['relevance', 'downloads', 'rating', 'newest', 'title'];
+
+// Products whose declared range covers `version` (a missing bound counts as open-ended)
+const compatibilityFilter = (platform, version) => {
+  const value = Product.versionToNumber(version);
+  if (value === null) return null;
+  return [
+    { $or: [{ [`compatibilityKeys.${platform}Min`]: null }, { [`compatibilityKeys.${platform}Min`]: { $lte: value } }] },
+    { $or: [{ [`compatibilityKeys.${platform}Max`]: null }, { [`compatibilityKeys.${platform}Max`]: { $gte: value } }] }
+  ];
+};
+
+// Full-text search with filters, sorting and facet counts (public)
+// Query: q, category (comma separated slugs, subcategories included), featured, tags (comma separated, all must match),
+//        wp / php (version the product must support), from / to (created date),
+//        sort (relevance | downloads | rating | newest | title), page, limit
+router.get('/search', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+    const text = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 200) : '';
+    const sort = req.query.sort || (text ? 'relevance' : 'newest');
+
+    if (!SEARCH_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: ${SEARCH_SORTS.join(', ')}`
+      });
+    }
+
+    // Publishing window conditions go into $and along with the compatibility ranges
+    const { $and: visibility, ...filter } = Product.publicFilter();
+    const conditions = [...visibility];
+
+    if (req.query.category && req.query.category !== 'all') {
+      const slugs = String(req.query.category).split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+      filter.category = { $in: [...new Set(slugs.flatMap(slug => Category.getDescendantSlugs(slug, { activeOnly: true })))] };
+    }
+    if (req.query.featured === 'true' || req.query.featured === 'false') {
+      filter.featured = req.query.featured === 'true';
+    }
+    if (req.query.tags) {
+      const tags = String(req.query.tags).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+      if (tags.length > 0) filter.tags = { $all: tags };
+    }
+
+    for (const [param, platform] of [['wp', 'wordpress'], ['php', 'php']]) {
+      if (!req.query[param]) continue;
+      const compatibility = compatibilityFilter(platform, req.query[param]);
+      if (!compatibility) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${param} version`
+        });
+      }
+      conditions.push(...compatibility);
+    }
+
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date format for from/to'
+        });
+      }
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    if (conditions.length > 0) filter.$and = conditions;
+
+    const { products, total, facets } = await Product.searchCatalog({
+      text,
+      filter,
+      sort,
+      skip: (page - 1) * limit,
+      limit
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      query: text,
+      sort,
+      products,
+      facets,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalProducts: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Search products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search products',
+      error: error.message
+    });
+  }
+});
+
 // Get featured products (public)
 router.get('/featured', async (req, res) => {
   try {
     const products = await Product.find({ 
-      isActive: true, 
+      ...Product.publicFilter(), 
       featured: true 
     })
       .sort({ createdAt: -1 })
       .limit(8)
-      .select('-__v');
+      .select(PUBLIC_PRODUCT_PROJECTION);
 
     res.json({
       success: true,
@@ -78,20 +288,68 @@ router.get('/featured', async (req, res) => {
   }
 });
 
+// Get trending products (public). Query: window (24h | 7d | 30d, default 7d), category, limit (max 50)
+router.get('/trending', async (req, res) => {
+  try {
+    const window = req.query.window || DEFAULT_WINDOW;
+    const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+
+    if (!TRENDING_WINDOWS[window]) {
+      return res.status(400).json({
+        success: false,
+        message: `window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}`
+      });
+    }
+
+    const field = `trending.${TRENDING_WINDOWS[window].field}`;
+    const query = { ...Product.publicFilter(), [field]: { $gt: 0 } };
+    if (req.query.category && req.query.category !== 'all') {
+      query.category = { $in: Category.getDescendantSlugs(String(req.query.category).toLowerCase(), { activeOnly: true }) };
+    }
+
+    const products = await Product.find(query)
+      .sort(trendingSort(window))
+      .limit(limit)
+      .select(PUBLIC_PRODUCT_PROJECTION);
+
+    res.json({
+      success: true,
+      window,
+      products
+    });
+
+  } catch (error) {
+    console.error('Get trending products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trending products',
+      error: error.message
+    });
+  }
+});
+
 // Get product stats (public)
 router.get('/stats', async (req, res) => {
   try {
-    const totalProducts = await Product.countDocuments({ isActive: true });
+    const totalProducts = await Product.countDocuments(Product.publicFilter());
     const totalDownloads = await Product.aggregate([
-      { $match: { isActive: true } },
+      { $match: { ...Product.publicFilter(), deletedAt: null } },
       { $group: { _id: null, total: { $sum: '$downloads' } } }
     ]);
+    const categoryCounts = await Product.countByCategory(Product.publicFilter());
 
     res.json({
       success: true,
       stats: {
         totalProducts,
-        totalDownloads: totalDownloads[0]?.total || 0
+        totalDownloads: totalDownloads[0]?.total || 0,
+        // Totals per top-level category include its subcategories
+        categories: Category.buildTree({ counts: categoryCounts }).map(category => ({
+          slug: category.slug,
+          name: category.name,
+          productCount: category.productCount,
+          downloads: category.downloads
+        }))
       }
     });
 
@@ -105,12 +363,17 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// Get products for admin
+// Get products for admin. Query: status (comma separated)
 router.get('/admin', adminAuth, async (req, res) => {
   try {
-    const products = await Product.find()
+    const query = {};
+    if (req.query.status) {
+      query.status = { $in: String(req.query.status).split(',').map(status => status.trim()) };
+    }
+
+    const products = await Product.find(query)
       .sort({ createdAt: -1 })
-      .select('-__v');
+      .select('-__v -statusHistory');
 
     res.json({
       success: true,
@@ -127,13 +390,201 @@ router.get('/admin', adminAuth, async (req, res) => {
   }
 });
 
+// Products in the trash (admin only). Query: page, limit
+router.get('/trash', adminAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = { deletedAt: { $ne: null } };
+
+    const [products, total] = await Promise.all([
+      Product.find(query)
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('title slug category imageUrl version downloads isActive createdBy deletedAt deletedBy')
+        .lean(),
+      Product.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      retentionDays: TRASH_RETENTION_DAYS,
+      products: products.map(product => ({ ...product, purgeAfter: purgeDate(product) })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalProducts: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trash',
+      error: error.message
+    });
+  }
+});
+
+// Permanently delete products that have been in the trash longer than the retention period (admin only)
+router.delete('/trash', adminAuth, async (req, res) => {
+  try {
+    const purged = await purgeExpiredTrash();
+
+    console.log(`🗑️  Trash purge requested by ${req.admin.email}: ${purged} product(s) removed`);
+
+    res.json({
+      success: true,
+      message: `${purged} product(s) permanently deleted`,
+      purged,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+
+  } catch (error) {
+    console.error('Purge trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to purge trash',
+      error: error.message
+    });
+  }
+});
+
+// Bulk import products from a CSV or JSON file (admin only)
+// multipart field "file" (.csv / .json), or a JSON body { products: [...] }
+// ?dryRun=true validates every row without saving. Rows are matched by slug, then title (upsert).
+router.post('/import', adminAuth, (req, res, next) => {
+  if (req.is('multipart/form-data')) return handleUpload('import')(req, res, next);
+  next();
+}, async (req, res) => {
+  try {
+    const dryRun = String(req.query.dryRun || (req.body && req.body.dryRun)) === 'true';
+
+    let rows;
+    if (req.file) {
+      rows = parseImportFile(req.file.buffer, req.file.originalname);
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body && req.body.products;
+      if (!Array.isArray(rows)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Upload a CSV/JSON file (field "file") or send { "products": [...] }'
+        });
+      }
+    }
+
+    const result = await importProducts(rows, {
+      dryRun,
+      createdBy: req.admin.email || 'admin'
+    });
+
+    console.log(`📥 Product import${dryRun ? ' (dry run)' : ''} by ${req.admin.email}:`, result.summary);
+
+    res.status(dryRun ? 200 : (result.summary.created > 0 ? 201 : 200)).json({
+      success: result.summary.failed === 0,
+      message: dryRun
+        ? `Dry run: ${result.summary.created} to create, ${result.summary.updated} to update, ${result.summary.failed} with errors`
+        : `Imported ${result.summary.created} new and ${result.summary.updated} updated product(s), ${result.summary.failed} skipped`,
+      ...result
+    });
+
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Import products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import products',
+      error: error.message
+    });
+  }
+});
+
+// Export the full catalog (admin only). Query: format=csv|json (default csv), status (comma separated)
+router.get('/export', adminAuth, async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const query = {};
+    if (req.query.status) {
+      query.status = { $in: String(req.query.status).split(',').map(status => status.trim()) };
+    }
+
+    const products = await Product.find(query).sort({ createdAt: 1 }).lean();
+    const rows = products.map(toExportRow);
+    const fileName = `catalog-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    console.log(`📤 Catalog export (${format}, ${rows.length} products) by ${req.admin.email}`);
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'json') {
+      return res.json({
+        exportedAt: new Date(),
+        count: rows.length,
+        products: rows
+      });
+    }
+
+    res.type('text/csv; charset=utf-8').send(toCsv(rows, EXPORT_COLUMNS));
+
+  } catch (error) {
+    console.error('Export products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export products',
+      error: error.message
+    });
+  }
+});
+
+// Get single product by slug (public)
+router.get('/slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      slug: String(req.params.slug).toLowerCase(),
+      ...Product.publicFilter()
+    }).select(PUBLIC_PRODUCT_PROJECTION);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const [withFlag] = await withFavoriteFlags(req, [product]);
+
+    res.json({
+      success: true,
+      product: withFlag
+    });
+
+  } catch (error) {
+    console.error('Get product by slug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product',
+      error: error.message
+    });
+  }
+});
+
 // Get single product by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const product = await Product.findOne({ 
       _id: req.params.id, 
-      isActive: true 
-    }).select('-__v');
+      ...Product.publicFilter() 
+    }).select(PUBLIC_PRODUCT_PROJECTION);
 
     if (!product) {
       return res.status(404).json({
@@ -142,9 +593,11 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const [withFlag] = await withFavoriteFlags(req, [product]);
+
     res.json({
       success: true,
-      product
+      product: withFlag
     });
 
   } catch (error) {
@@ -160,10 +613,10 @@ router.get('/:id', async (req, res) => {
 // Create product (admin only)
 router.post('/', adminAuth, async (req, res) => {
   try {
-    const { title, category, imageUrl, previewUrl, downloadUrl, featured} = req.body;
+    const { title, category, imageUrl, previewUrl, downloadUrl, featured, imageAssetId, packageAssetId } = req.body;
 
-    // Validation
-    if (!title || !category || !imageUrl || !previewUrl || !downloadUrl) {
+    // Validation (image and file can be external URLs or uploaded assets)
+    if (!title || !category || !previewUrl || !(imageUrl || imageAssetId) || !(downloadUrl || packageAssetId)) {
       return res.status(400).json({
         success: false,
         message: 'All required fields must be provided'
@@ -185,12 +638,37 @@ router.post('/', adminAuth, async (req, res) => {
     const product = new Product({
       title: title.trim(),
       category,
-      imageUrl: imageUrl.trim(),
+      imageUrl: imageUrl ? imageUrl.trim() : undefined,
       previewUrl: previewUrl.trim(),
-      downloadUrl: downloadUrl.trim(),
+      downloadUrl: downloadUrl ? downloadUrl.trim() : undefined,
       featured: featured || false,
-     
+      createdBy: req.admin.email || 'admin'
     });
+    product.applyMetadata(req.body);
+
+    // New products start as drafts unless a status (and schedule) is given
+    try {
+      applyStatusChange(product, {
+        status: req.body.status || 'draft',
+        publishAt: req.body.publishAt,
+        unpublishAt: req.body.unpublishAt,
+        note: 'Created'
+      }, req.admin.email || 'admin');
+    } catch (error) {
+      if (!(error instanceof WorkflowError)) throw error;
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const assetError = await applyHostedAssets(product, req.body);
+    if (assetError) {
+      return res.status(400).json({
+        success: false,
+        message: assetError
+      });
+    }
 
     await product.save();
 
@@ -203,13 +681,7 @@ router.post('/', adminAuth, async (req, res) => {
   } catch (error) {
     console.error('Create product error:', error);
     
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: messages.join(', ')
-      });
-    }
+    if (sendProductSaveError(res, error)) return;
 
     res.status(500).json({
       success: false,
@@ -254,9 +726,30 @@ router.put('/:id', adminAuth, async (req, res) => {
     if (previewUrl) product.previewUrl = previewUrl.trim();
     if (downloadUrl) product.downloadUrl = downloadUrl.trim();
     if (typeof featured !== 'undefined') product.featured = featured;
+    product.applyMetadata(req.body);
+
+    const assetError = await applyHostedAssets(product, req.body);
+    if (assetError) {
+      return res.status(400).json({
+        success: false,
+        message: assetError
+      });
+    }
+
+    // Users who downloaded the product hear about a new version or replaced file
+    const previousVersion = product.$locals.loadedRelease?.version;
+    const versionChanged = product.isModified('version');
+    const fileChanged = product.isModified('downloadUrl') || product.isModified('packageAsset');
     
     await product.save();
 
+    if (product.isPubliclyVisible() && (versionChanged || fileChanged)) {
+      queueProductUpdate(product, {
+        reason: versionChanged ? 'new_version' : 'file_updated',
+        previousVersion
+      });
+    }
+
     res.json({
       success: true,
       message: 'Product updated successfully',
@@ -266,13 +759,7 @@ router.put('/:id', adminAuth, async (req, res) => {
   } catch (error) {
     console.error('Update product error:', error);
     
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: messages.join(', ')
-      });
-    }
+    if (sendProductSaveError(res, error)) return;
 
     res.status(500).json({
       success: false,
@@ -282,10 +769,10 @@ router.put('/:id', adminAuth, async (req, res) => {
   }
 });
 
-// Delete product (admin only)
+// Move product to trash (admin only); it is purged after the retention period
 router.delete('/:id', adminAuth, async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findById(req.params.id);
     
     if (!product) {
       return res.status(404).json({
@@ -294,9 +781,15 @@ router.delete('/:id', adminAuth, async (req, res) => {
       });
     }
 
+    await product.moveToTrash(req.admin.email || 'admin');
+
+    console.log(`🗑️  Product moved to trash by ${req.admin.email}: ${product.title}`);
+
     res.json({
       success: true,
-      message: 'Product deleted successfully'
+      message: 'Product moved to trash',
+      deletedAt: product.deletedAt,
+      purgeAfter: purgeDate(product)
     });
 
   } catch (error) {
@@ -309,36 +802,479 @@ router.delete('/:id', adminAuth, async (req, res) => {
   }
 });
 
-// Track download (authenticated users)
-router.post('/:id/download', auth, async (req, res) => {
+// Restore a product from the trash (admin only)
+router.post('/:id/restore', adminAuth, async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found in trash'
+      });
+    }
+
+    // Another product may have taken the title while this one was in the trash
+    const titleTaken = await Product.findOne({
+      _id: { $ne: product._id },
+      title: { $regex: new RegExp('^' + product.title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '$', 'i') }
+    });
+    if (titleTaken) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another product with this title exists. Rename it before restoring.'
+      });
+    }
+
+    await product.restoreFromTrash();
+
+    console.log(`♻️  Product restored by ${req.admin.email}: ${product.title}`);
+
+    res.json({
+      success: true,
+      message: 'Product restored successfully',
+      product
+    });
+
+  } catch (error) {
+    if (sendProductSaveError(res, error)) return;
+
+    console.error('Restore product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore product',
+      error: error.message
+    });
+  }
+});
+
+// Change a product's publishing status and/or schedule (admin only)
+// Body: { status, publishAt, unpublishAt, note }. See services/productWorkflow.js for allowed transitions.
+router.patch('/:id/status', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+
     const product = await Product.findById(req.params.id);
-    
-    if (!product || !product.isActive) {
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const { from, to, changed } = applyStatusChange(product, {
+      status: req.body.status,
+      publishAt: req.body.publishAt,
+      unpublishAt: req.body.unpublishAt,
+      note: req.body.note
+    }, req.admin.email || 'admin');
+
+    if (!changed) {
+      return res.status(400).json({
+        success: false,
+        message: `Product is already ${to} with this schedule`
+      });
+    }
+
+    await product.save();
+
+    console.log(`📋 Product status changed by ${req.admin.email}: ${product.title} (${from || 'none'} → ${to})`);
+
+    res.json({
+      success: true,
+      message: from === to ? 'Product schedule updated' : `Product moved to ${to}`,
+      product: {
+        id: product._id,
+        title: product.title,
+        status: product.status,
+        publishAt: product.publishAt,
+        unpublishAt: product.unpublishAt,
+        isLive: product.isPubliclyVisible()
+      },
+      allowedTransitions: STATUS_TRANSITIONS[product.status]
+    });
+
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (sendProductSaveError(res, error)) return;
+
+    console.error('Change product status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change product status',
+      error: error.message
+    });
+  }
+});
+
+// Status change audit trail, newest first (admin only)
+router.get('/:id/status-history', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+
+    const product = await Product.findById(req.params.id)
+      .select('title status publishAt unpublishAt statusHistory')
+      .setOptions({ withDeleted: true });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      product: {
+        id: product._id,
+        title: product.title,
+        status: product.status,
+        publishAt: product.publishAt,
+        unpublishAt: product.unpublishAt,
+        isLive: product.isPubliclyVisible()
+      },
+      allowedTransitions: STATUS_TRANSITIONS[product.status] || [],
+      history: [...product.statusHistory].reverse()
+    });
+
+  } catch (error) {
+    console.error('Get product status history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch status history',
+      error: error.message
+    });
+  }
+});
+
+// Public view of a release (file locations are never exposed)
+const releaseSummary = (product, release) => ({
+  version: release.version,
+  releaseNotes: release.releaseNotes,
+  releasedAt: release.releasedAt,
+  isCurrent: release.version === product.version,
+  isAvailable: release.isAvailable !== false,
+  hosted: Boolean(release.packageAsset),
+  fileSize: release.packageAsset && release.packageAsset.size,
+  checksum: release.packageAsset && release.packageAsset.checksum
+});
+
+const findProductForVersions = async (req, res, { activeOnly }) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid product ID format'
+    });
+    return null;
+  }
+
+  const query = { _id: req.params.id };
+  if (activeOnly) Object.assign(query, Product.publicFilter());
+
+  const product = await Product.findOne(query)
+    .populate('packageAsset', 'size checksum')
+    .populate('releases.packageAsset', 'size checksum');
+
+  if (!product) {
+    res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+    return null;
+  }
+  return product;
+};
+
+// Related products: downloaded together, shared tags, same category (public). Query: limit (default 8, max 20)
+router.get('/:id/related', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, ...Product.publicFilter() })
+      .select('title slug category tags');
+    if (!product) {
       return res.status(404).json({
         success: false,
         message: 'Product not found'
       });
     }
 
-    // Increment download count
-    product.downloads = (product.downloads || 0) + 1;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
+    const { related, computedAt } = await getRelatedProducts(product, limit);
+
+    res.json({
+      success: true,
+      product: {
+        id: product._id,
+        title: product.title,
+        slug: product.slug
+      },
+      related,
+      computedAt
+    });
+
+  } catch (error) {
+    console.error('Get related products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch related products',
+      error: error.message
+    });
+  }
+});
+
+// Get release history / changelog (public)
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const product = await findProductForVersions(req, res, { activeOnly: true });
+    if (!product) return;
+
+    res.json({
+      success: true,
+      product: {
+        id: product._id,
+        title: product.title,
+        slug: product.slug,
+        currentVersion: product.version
+      },
+      versions: product.getReleases().map(release => releaseSummary(product, release))
+    });
+
+  } catch (error) {
+    console.error('Get product versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product versions',
+      error: error.message
+    });
+  }
+});
+
+// Publish a new release (admin only)
+// Body: { version, releaseNotes, downloadUrl | packageAssetId, releasedAt }
+// A release newer than the current version becomes the current one.
+router.post('/:id/versions', adminAuth, async (req, res) => {
+  try {
+    const product = await findProductForVersions(req, res, { activeOnly: false });
+    if (!product) return;
+
+    const { version, releaseNotes, downloadUrl, packageAssetId, releasedAt } = req.body;
+
+    if (!version || !(downloadUrl || packageAssetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'version and a file (downloadUrl or packageAssetId) are required'
+      });
+    }
+
+    const releaseVersion = String(version).trim();
+    if (product.getReleases().some(release => release.version === releaseVersion)) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${releaseVersion} already exists`
+      });
+    }
+
+    let packageAsset;
+    if (packageAssetId) {
+      packageAsset = mongoose.Types.ObjectId.isValid(packageAssetId)
+        ? await Asset.findOne({ _id: packageAssetId, kind: 'package' })
+        : null;
+      if (!packageAsset) {
+        return res.status(400).json({
+          success: false,
+          message: 'Uploaded package not found'
+        });
+      }
+    }
+
+    const release = {
+      version: releaseVersion,
+      releaseNotes,
+      downloadUrl: packageAsset ? undefined : String(downloadUrl).trim(),
+      packageAsset: packageAsset ? packageAsset._id : undefined,
+      releasedAt: releasedAt ? new Date(releasedAt) : new Date(),
+      createdBy: req.admin.email || 'admin'
+    };
+
+    // Keep the pre-release file in the history for products created before releases existed
+    if (product.releases.length === 0) {
+      product.syncCurrentRelease();
+    }
+    product.releases.push(release);
+
+    const previousVersion = product.version;
+    const isNewest = (Product.versionToNumber(releaseVersion) || 0) > (Product.versionToNumber(product.version) || 0);
+    if (isNewest) {
+      product.version = release.version;
+      product.downloadUrl = release.downloadUrl;
+      product.packageAsset = release.packageAsset;
+    }
+
+    await product.save();
+
+    console.log(`🏷️  ${product.title} ${releaseVersion} published by ${req.admin.email}${isNewest ? ' (current)' : ''}`);
+
+    if (isNewest && product.isPubliclyVisible()) {
+      queueProductUpdate(product, { reason: 'new_version', previousVersion });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${releaseVersion} published${isNewest ? ' as the current release' : ''}`,
+      currentVersion: product.version,
+      versions: product.getReleases().map(r => releaseSummary(product, r))
+    });
+
+  } catch (error) {
+    console.error('Publish product version error:', error);
+
+    if (sendProductSaveError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish version',
+      error: error.message
+    });
+  }
+});
+
+// Edit release notes / date, or withdraw a release (admin only)
+// Body: { releaseNotes, releasedAt, isAvailable }
+router.patch('/:id/versions/:version', adminAuth, async (req, res) => {
+  try {
+    const product = await findProductForVersions(req, res, { activeOnly: false });
+    if (!product) return;
+
+    if (product.releases.length === 0) {
+      product.syncCurrentRelease();
+    }
+
+    const release = product.releases.find(r => r.version === req.params.version);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const { releaseNotes, releasedAt, isAvailable } = req.body;
+
+    if (isAvailable === false && release.version === product.version) {
+      return res.status(400).json({
+        success: false,
+        message: 'The current version cannot be withdrawn. Publish a newer version first.'
+      });
+    }
+
+    if (typeof releaseNotes !== 'undefined') release.releaseNotes = releaseNotes;
+    if (releasedAt) release.releasedAt = new Date(releasedAt);
+    if (typeof isAvailable === 'boolean') release.isAvailable = isAvailable;
+
     await product.save();
 
     res.json({
       success: true,
-      message: 'Download tracked successfully',
-      downloadUrl: product.downloadUrl
+      message: `Version ${release.version} updated`,
+      version: releaseSummary(product, release)
     });
 
   } catch (error) {
-    console.error('Track download error:', error);
+    console.error('Update product version error:', error);
+
+    if (sendProductSaveError(res, error)) return;
+
     res.status(500).json({
       success: false,
-      message: 'Failed to track download',
+      message: 'Failed to update version',
       error: error.message
     });
   }
 });
 
+// Download a specific release (authenticated users) - same quota rules as the current version
+router.post('/:id/versions/:version/download', auth, async (req, res) => {
+  try {
+    const { product, release, download, license, userStats, isRedownload } = await processDownload({
+      userId: req.user.userId,
+      productId: req.params.id,
+      version: req.params.version,
+      source: 'web',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const link = await createDownloadLink(download, req);
+
+    res.json({
+      success: true,
+      message: `"${product.title}" ${release.version} is ready for download`,
+      downloadUrl: link.url,
+      downloadUrlExpiresAt: link.expiresAt,
+      version: release.version,
+      isCurrent: release.version === product.version,
+      license: license ? license.summary() : undefined,
+      userStats,
+      isRedownload
+    });
+
+  } catch (error) {
+    sendDownloadError(res, error, 'Failed to download version');
+  }
+});
+
+// Track download (authenticated users) - same quota rules as /api/download/:productId
+router.post('/:id/download', auth, async (req, res) => {
+  try {
+    const { product, release, download, license, userStats, isRedownload } = await processDownload({
+      userId: req.user.userId,
+      productId: req.params.id,
+      source: 'web',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const link = await createDownloadLink(download, req);
+
+    res.json({
+      success: true,
+      message: isRedownload ? 'Download link ready (recent download)' : 'Download tracked successfully',
+      downloadUrl: link.url,
+      downloadUrlExpiresAt: link.expiresAt,
+      version: release.version,
+      license: license ? license.summary() : undefined,
+      userStats,
+      isRedownload
+    });
+
+  } catch (error) {
+    sendDownloadError(res, error, 'Failed to track download');
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,301 @@
+// routes/reviews.js
+// Mounted at /api/products/:id/reviews
+const express = require('express');
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Download = require('../models/Download');
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+const router = express.Router({ mergeParams: true });
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Public view of a review (reviewer name only, no email)
+const reviewSummary = (review) => ({
+  id: review._id,
+  rating: review.rating,
+  title: review.title,
+  body: review.body,
+  version: review.version,
+  author: review.userId && review.userId.name ? { id: review.userId._id, name: review.userId.name } : null,
+  verifiedDownload: true,
+  createdAt: review.createdAt,
+  editedAt: review.editedAt
+});
+
+const sendReviewError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'You have already reviewed this product'
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Load the (published) product from :id into req.product
+const loadProduct = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format'
+      });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, ...Product.publicFilter() })
+      .select('title slug rating');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    req.product = product;
+    next();
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to load product');
+  }
+};
+
+// Load :reviewId for this product into req.review
+const loadReview = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.reviewId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID format'
+      });
+    }
+
+    const review = await Review.findOne({ _id: req.params.reviewId, productId: req.params.id });
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    req.review = review;
+    next();
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to load review');
+  }
+};
+
+const requireOwner = (req, res, next) => {
+  if (req.review.userId.toString() !== req.user.userId) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only change your own review'
+    });
+  }
+  next();
+};
+
+// GET /api/products/:id/reviews - Visible reviews. Query: sort (newest | oldest | highest | lowest), rating, page, limit
+router.get('/', loadProduct, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const sort = req.query.sort || 'newest';
+
+    if (!Object.keys(REVIEW_SORTS).includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`
+      });
+    }
+
+    const query = { productId: req.product._id, status: 'visible' };
+    const rating = parseInt(req.query.rating);
+    if (rating >= 1 && rating <= 5) {
+      query.rating = rating;
+    }
+
+    const [reviews, total, breakdown] = await Promise.all([
+      Review.find(query)
+        .populate('userId', 'name')
+        .sort(REVIEW_SORTS[sort])
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(query),
+      Review.getRatingBreakdown(req.product._id)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      product: {
+        id: req.product._id,
+        title: req.product.title,
+        slug: req.product.slug
+      },
+      rating: {
+        average: req.product.rating?.average || 0,
+        count: req.product.rating?.count || 0,
+        breakdown
+      },
+      reviews: reviews.map(reviewSummary),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReviews: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to fetch reviews');
+  }
+});
+
+// POST /api/products/:id/reviews - Review a product you have downloaded. Body: { rating, title, body }
+router.post('/', auth, loadProduct, async (req, res) => {
+  try {
+    const lastDownload = await Download.findOne({ userId: req.user.userId, productId: req.product._id })
+      .sort({ downloadDate: -1 })
+      .select('version');
+    if (!lastDownload) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only users who have downloaded this product can review it'
+      });
+    }
+
+    const review = await Review.create({
+      productId: req.product._id,
+      userId: req.user.userId,
+      rating: Number(req.body.rating),
+      title: req.body.title,
+      body: req.body.body,
+      version: lastDownload.version
+    });
+
+    const rating = await Review.updateProductRating(req.product._id);
+
+    console.log(`⭐ Review added by ${req.user.email}: ${req.product.title} (${review.rating}/5)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added successfully',
+      review: reviewSummary(review),
+      rating
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to add review');
+  }
+});
+
+// PUT /api/products/:id/reviews/:reviewId - Edit your review. Body: { rating, title, body }
+router.put('/:reviewId', auth, loadProduct, loadReview, requireOwner, async (req, res) => {
+  try {
+    const { rating, title, body } = req.body;
+    if (typeof rating !== 'undefined') req.review.rating = Number(rating);
+    if (typeof title !== 'undefined') req.review.title = title;
+    if (typeof body !== 'undefined') req.review.body = body;
+
+    if (!req.review.isModified()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update'
+      });
+    }
+
+    req.review.editedAt = new Date();
+    await req.review.save();
+
+    const productRating = await Review.updateProductRating(req.product._id);
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      review: reviewSummary(req.review),
+      rating: productRating
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to update review');
+  }
+});
+
+// DELETE /api/products/:id/reviews/:reviewId - Delete your review
+router.delete('/:reviewId', auth, loadProduct, loadReview, requireOwner, async (req, res) => {
+  try {
+    await req.review.deleteOne();
+    const rating = await Review.updateProductRating(req.product._id);
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully',
+      rating
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to delete review');
+  }
+});
+
+// PATCH /api/products/:id/reviews/:reviewId/moderation - Hide/show or flag a review (admin only)
+// Body: { status: 'visible' | 'hidden', flagged: boolean, note }
+router.patch('/:reviewId/moderation', adminAuth, loadReview, async (req, res) => {
+  try {
+    const { status, flagged, note } = req.body;
+
+    if (typeof status !== 'undefined' && !['visible', 'hidden'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be visible or hidden'
+      });
+    }
+    if (typeof status === 'undefined' && typeof flagged === 'undefined') {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide status and/or flagged'
+      });
+    }
+
+    if (typeof status !== 'undefined') req.review.status = status;
+    if (typeof flagged !== 'undefined') req.review.flagged = flagged === true || flagged === 'true';
+    req.review.moderation = {
+      note,
+      moderatedBy: req.admin.email || 'admin',
+      moderatedAt: new Date()
+    };
+    await req.review.save();
+
+    const rating = await Review.updateProductRating(req.review.productId);
+
+    console.log(`🛡️  Review ${req.review._id} moderated by ${req.admin.email}: ${req.review.status}${req.review.flagged ? ', flagged' : ''}`);
+
+    res.json({
+      success: true,
+      message: 'Review moderated successfully',
+      review: req.review,
+      rating
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to moderate review');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+// routes/uploads.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Asset = require('../models/Asset');
+const Product = require('../models/Product');
+const adminAuth = require('../middleware/adminAuth');
+const {
+  MAX_FILE_SIZE,
+  UPLOAD_RULES,
+  UploadError,
+  handleUpload,
+  verifyFileSignature,
+  checksumFile,
+  getAssetPath,
+  removeFile
+} = require('../services/fileStorage');
+
+const router = express.Router();
+
+// Turn a stored multer upload into an Asset (deduplicated by checksum)
+const storeUpload = (kind) => async (req, res) => {
+  const filePath = req.file.path;
+
+  try {
+    await verifyFileSignature(filePath, kind);
+    const checksum = await checksumFile(filePath);
+
+    const existing = await Asset.findOne({ kind, checksum });
+    if (existing) {
+      await removeFile(filePath);
+      return res.json({
+        success: true,
+        message: 'An identical file was already uploaded',
+        duplicate: true,
+        asset: existing
+      });
+    }
+
+    const asset = await Asset.create({
+      kind,
+      originalName: req.file.originalname,
+      fileName: req.file.filename,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      checksum,
+      uploadedBy: req.admin.email || 'admin'
+    });
+
+    console.log(`📁 ${kind} uploaded by ${req.admin.email}: ${asset.originalName} (${asset.size} bytes, sha256 ${checksum.slice(0, 12)}…)`);
+
+    res.status(201).json({
+      success: true,
+      message: `${kind === 'package' ? 'Package' : 'Image'} uploaded successfully`,
+      asset
+    });
+  } catch (error) {
+    await removeFile(filePath);
+
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to store upload',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/uploads/package - Upload a product ZIP (multipart field "file")
+router.post('/package', adminAuth, handleUpload('package'), storeUpload('package'));
+
+// POST /api/uploads/image - Upload a product image (multipart field "file")
+router.post('/image', adminAuth, handleUpload('image'), storeUpload('image'));
+
+// GET /api/uploads/limits - Accepted file types and size
+router.get('/limits', adminAuth, (req, res) => {
+  res.json({
+    success: true,
+    maxFileSize: MAX_FILE_SIZE,
+    package: { extensions: UPLOAD_RULES.package.extensions, mimeTypes: UPLOAD_RULES.package.mimeTypes },
+    image: { extensions: UPLOAD_RULES.image.extensions, mimeTypes: UPLOAD_RULES.image.mimeTypes }
+  });
+});
+
+// GET /api/uploads - List uploaded assets. Query: kind, page, limit
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = {};
+
+    if (['package', 'image'].includes(req.query.kind)) {
+      query.kind = req.query.kind;
+    }
+
+    const [assets, total] = await Promise.all([
+      Asset.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Asset.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      assets,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch uploads',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/uploads/:id - Delete an asset that no product uses
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asset ID'
+      });
+    }
+
+    const asset = await Asset.findById(req.params.id);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    const usedBy = await Product.countAssetUsage(asset._id);
+    if (usedBy > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Asset is used by ${usedBy} product(s)`
+      });
+    }
+
+    await asset.deleteOne();
+    await removeFile(getAssetPath(asset));
+
+    console.log(`🗑️  Asset deleted by ${req.admin.email}: ${asset.originalName}`);
+
+    res.json({
+      success: true,
+      message: 'Asset deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete asset',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,14 @@
 // routes/user.js
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Download = require('../models/Download');
+const Notification = require('../models/Notification');
+const License = require('../models/License');
 const auth = require('../middleware/auth');
+const { getQuotaStatus } = require('../services/downloadService');
+const { getAvailableUpdates } = require('../services/productUpdates');
+const { getRecommendationsForUser } = require('../services/recommendations');
 
 const router = express.Router();
 
@@ -19,9 +25,8 @@ router.get('/stats', auth, async (req, res) => {
       });
     }
 
-    // FIXED: Only reset if needed and save once
-    const wasReset = user.resetDailyDownloadsIfNeeded();
-    let userNeedsSave = wasReset;
+    // Same quota engine the download endpoints use (also persists any auto-reset)
+    const downloadCheck = await getQuotaStatus(user);
 
     // Get today's date range for database queries
     const today = new Date();
@@ -34,6 +39,7 @@ router.get('/stats', auth, async (req, res) => {
 
     const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
 
+    let counts;
     try {
       // Get actual download counts from database
       const [totalDownloads, todayDownloads, weekDownloads, monthDownloads] = await Promise.all([
@@ -51,114 +57,69 @@ router.get('/stats', auth, async (req, res) => {
           downloadDate: { $gte: startOfMonth } 
         })
       ]);
+      counts = { totalDownloads, todayDownloads, weekDownloads, monthDownloads };
+    } catch (dbError) {
+      // Fallback to user model counters if database queries fail
+      console.log('📊 Using fallback user stats due to database error:', dbError.message);
+      counts = {
+        totalDownloads: user.totalDownloads || 0,
+        todayDownloads: downloadCheck.daily.used,
+        weekDownloads: downloadCheck.daily.used,
+        monthDownloads: downloadCheck.monthly.used
+      };
+    }
 
-      // Sync user's download count with actual database count
-      if (user.downloadsToday !== todayDownloads) {
-        console.log(`🔄 Syncing download count: DB=${todayDownloads}, User Model=${user.downloadsToday}`);
-        user.downloadsToday = todayDownloads;
-        userNeedsSave = true;
-      }
+    const stats = {
+      totalDownloads: counts.totalDownloads,
+      downloadsToday: counts.todayDownloads,
+      downloadsThisWeek: counts.weekDownloads,
+      downloadsThisMonth: counts.monthDownloads,
+      remainingToday: downloadCheck.daily.remaining,
+      remainingThisMonth: downloadCheck.monthly.remaining,
+      subscription: user.subscription,
+      plan: downloadCheck.plan,
+      downloadLimit: {
+        daily: downloadCheck.daily.limit,
+        monthly: downloadCheck.monthly.limit
+      },
+      canDownload: downloadCheck.canDownload,
+      reason: downloadCheck.reason,
+      memberSince: user.createdAt,
+      lastLogin: user.lastLogin,
+      isVerified: user.isVerified,
+      nextDailyReset: downloadCheck.resetInfo?.nextDailyReset,
+      nextMonthlyReset: downloadCheck.resetInfo?.nextMonthlyReset
+    };
 
-      // Save user only if changes were made
-      if (userNeedsSave) {
-        await user.save();
-      }
+    console.log('✅ User stats fetched successfully:', {
+      userId: req.user.userId,
+      totalDownloads: stats.totalDownloads,
+      downloadsToday: stats.downloadsToday,
+      remainingToday: stats.remainingToday,
+      canDownload: stats.canDownload
+    });
 
-      const downloadCheck = user.canDownload();
-      const stats = {
-        totalDownloads,
-        downloadsToday: todayDownloads,
-        downloadsThisWeek: weekDownloads,
-        downloadsThisMonth: monthDownloads,
-        remainingToday: user.getRemainingDownloads(),
+    res.json({
+      success: true,
+      stats,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
         subscription: user.subscription,
-        downloadLimit: user.subscription === 'premium' ? 'Unlimited' : 10,
-        canDownload: downloadCheck.canDownload,
-        memberSince: user.createdAt,
-        lastLogin: user.lastLogin,
+        downloadsToday: counts.todayDownloads,
         isVerified: user.isVerified,
-        lastResetDate: user.lastResetDate
-      };
-
-      console.log('✅ User stats fetched successfully:', {
-        userId: req.user.userId,
-        totalDownloads: stats.totalDownloads,
-        downloadsToday: stats.downloadsToday,
-        remainingToday: stats.remainingToday,
-        canDownload: stats.canDownload,
-        lastResetDate: user.lastResetDate
-      });
-
-      res.json({
-        success: true,
-        stats,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          subscription: user.subscription,
-          downloadsToday: todayDownloads,
-          isVerified: user.isVerified,
-          createdAt: user.createdAt,
-          lastLogin: user.lastLogin
-        }
-      });
-
-    } catch (dbError) {
-      // Fallback to user model data if database queries fail
-      console.log('📊 Using fallback user stats due to database error:', dbError.message);
-      
-      if (userNeedsSave) {
-        await user.save();
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin
       }
-
-      const downloadCheck = user.canDownload();
-      const fallbackStats = {
-        totalDownloads: user.downloadsToday || 0,
-        downloadsToday: user.downloadsToday || 0,
-        downloadsThisWeek: user.downloadsToday || 0,
-        downloadsThisMonth: user.downloadsToday || 0,
-        remainingToday: user.getRemainingDownloads(),
-        subscription: user.subscription,
-        downloadLimit: user.subscription === 'premium' ? 'Unlimited' : 10,
-        canDownload: downloadCheck.canDownload,
-        memberSince: user.createdAt,
-        lastLogin: user.lastLogin,
-        isVerified: user.isVerified
-      };
-
-      res.json({
-        success: true,
-        stats: fallbackStats,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          subscription: user.subscription,
-          downloadsToday: user.downloadsToday || 0,
-          isVerified: user.isVerified,
-          createdAt: user.createdAt,
-          lastLogin: user.lastLogin
-        }
-      });
-    }
+    });
 
   } catch (error) {
     console.error('❌ Error fetching user stats:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to fetch user statistics',
-      stats: {
-        totalDownloads: 0,
-        downloadsToday: 0,
-        downloadsThisWeek: 0,
-        downloadsThisMonth: 0,
-        remainingToday: 10,
-        subscription: 'free',
-        canDownload: true
-      },
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -175,43 +136,21 @@ router.get('/download-status', auth, async (req, res) => {
       });
     }
 
-    // Reset if needed
-    const wasReset = user.resetDailyDownloadsIfNeeded();
-
-    // Get today's actual downloads from database for accuracy
-    const today = new Date();
-    const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const endOfToday = new Date(startOfToday.getTime() + 24 * 60 * 60 * 1000);
-
-    let todayDownloads = 0;
-    try {
-      todayDownloads = await Download.countDocuments({
-        userId: req.user.userId,
-        downloadDate: { $gte: startOfToday, $lt: endOfToday }
-      });
-    } catch (error) {
-      console.log('Using user model count due to DB error');
-      todayDownloads = user.downloadsToday || 0;
-    }
-
-    // Sync with database and save if needed
-    if (user.downloadsToday !== todayDownloads || wasReset) {
-      user.downloadsToday = todayDownloads;
-      await user.save();
-    }
-
-    const downloadCheck = user.canDownload();
+    const downloadCheck = await getQuotaStatus(user);
 
     res.json({
       success: true,
       downloadStatus: {
         canDownload: downloadCheck.canDownload,
-        downloadsToday: todayDownloads,
-        remainingToday: user.getRemainingDownloads(),
-        dailyLimit: user.subscription === 'premium' ? 'Unlimited' : 10,
+        downloadsToday: downloadCheck.daily.used,
+        remainingToday: downloadCheck.daily.remaining,
+        dailyLimit: downloadCheck.daily.limit,
+        monthlyLimit: downloadCheck.monthly.limit,
+        remainingThisMonth: downloadCheck.monthly.remaining,
         subscription: user.subscription,
+        plan: downloadCheck.plan,
         reason: downloadCheck.reason || 'OK',
-        resetDate: user.lastResetDate
+        resetDate: downloadCheck.resetInfo?.nextDailyReset
       }
     });
 
@@ -228,30 +167,31 @@ router.get('/download-status', auth, async (req, res) => {
 // GET /api/user/profile - Get detailed user profile
 router.get('/profile', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId)
-      .select('-password -otp -otpExpiry')
-      .lean();
+    const userDoc = await User.findById(req.user.userId);
 
-    if (!user) {
+    if (!userDoc) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
+    const downloadCheck = await getQuotaStatus(userDoc);
+    const user = userDoc.toJSON();
+
     // Get total downloads count
     let totalDownloads = 0;
     try {
       totalDownloads = await Download.countDocuments({ userId: req.user.userId });
     } catch (error) {
-      totalDownloads = user.downloadsToday || 0;
+      totalDownloads = userDoc.totalDownloads || 0;
     }
 
     const profile = {
       ...user,
       totalDownloads,
       membershipDuration: Math.floor((new Date() - new Date(user.createdAt)) / (1000 * 60 * 60 * 24)),
-      downloadLimit: user.subscription === 'premium' ? 'Unlimited' : '10/day',
+      downloadLimit: `${downloadCheck.daily.limit}/day, ${downloadCheck.monthly.limit}/month`,
       accountStatus: user.isVerified ? 'Active' : 'Pending Verification'
     };
 
@@ -269,4 +209,226 @@ router.get('/profile', auth, async (req, res) => {
   }
 });
 
+// GET /api/user/updates - Downloaded products that have a newer release
+router.get('/updates', auth, async (req, res) => {
+  try {
+    const updates = await getAvailableUpdates(req.user.userId);
+
+    res.json({
+      success: true,
+      count: updates.length,
+      updates
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching product updates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product updates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/user/recommendations - Products picked for the user (excludes what they already downloaded). Query: limit
+router.get('/recommendations', auth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+    const recommendations = await getRecommendationsForUser(req.user.userId, limit);
+
+    res.json({
+      success: true,
+      count: recommendations.length,
+      recommendations
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching recommendations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recommendations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/user/notifications - In-app notifications. Query: unread=true, page, limit
+router.get('/notifications', auth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = { userId: req.user.userId };
+    if (req.query.unread === 'true') {
+      query.readAt = { $exists: false };
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate('productId', 'title slug imageUrl version')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId: req.user.userId, readAt: { $exists: false } })
+    ]);
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PATCH /api/user/notifications/:id/read - Mark one notification as read
+router.patch('/notifications/:id/read', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      notification
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/user/notifications/read-all - Mark every notification as read
+router.post('/notifications/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.markAllRead(req.user.userId);
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/user/licenses - License keys issued to the user, with the domains each is active on
+router.get('/licenses', auth, async (req, res) => {
+  try {
+    const licenses = await License.find({ userId: req.user.userId })
+      .populate({ path: 'productId', select: 'title slug imageUrl version deletedAt', options: { withDeleted: true } })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: licenses.length,
+      licenses: licenses.map(license => ({
+        id: license._id,
+        ...license.summary(),
+        // Purged products only have the title stored on the license
+        product: license.productId
+          ? { id: license.productId._id, title: license.productId.title, slug: license.productId.slug, imageUrl: license.productId.imageUrl, version: license.productId.version }
+          : { id: null, title: license.productTitle || 'Deleted product' },
+        productDeleted: !license.productId || Boolean(license.productId.deletedAt)
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching licenses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch licenses',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/user/licenses/:id/activations/:domain - Free up an activation (e.g. a site that was taken down)
+router.delete('/licenses/:id/activations/:domain', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid license ID'
+      });
+    }
+
+    const domain = License.normalizeDomain(req.params.domain);
+    if (!domain) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid domain'
+      });
+    }
+
+    const license = await License.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId, 'activations.domain': domain },
+      { $pull: { activations: { domain } } },
+      { new: true }
+    );
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found or not active on that domain'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${domain} deactivated`,
+      license: { id: license._id, ...license.summary() }
+    });
+
+  } catch (error) {
+    console.error('❌ Error deactivating license domain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate domain',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 module.exports = router;
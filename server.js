@@ -100,6 +100,56 @@ const connectDB = async () => {
       console.log('🔄 MongoDB reconnected successfully');
     });
 
+    // Downloads use a transaction on replica sets / sharded clusters and an atomic quota update otherwise
+    try {
+      const transactions = await require('./services/downloadService').detectTransactionSupport();
+      console.log(transactions
+        ? '🔒 Transactions available: downloads are recorded in a transaction'
+        : '⚠️  Standalone MongoDB (no transactions): downloads use atomic quota updates instead');
+    } catch (error) {
+      console.error('❌ Failed to detect transaction support:', error.message);
+    }
+
+    // Seed the built-in subscription plans and load plan limits
+    try {
+      await require('./models/Plan').initialize();
+    } catch (error) {
+      console.error('❌ Failed to load subscription plans, using built-in limits:', error.message);
+    }
+
+    // Seed the built-in product categories and load the category tree
+    try {
+      await require('./models/Category').initialize();
+    } catch (error) {
+      console.error('❌ Failed to load product categories, using built-in ones:', error.message);
+    }
+
+    // Products created before slugs existed
+    try {
+      await require('./models/Product').backfillSlugs();
+    } catch (error) {
+      console.error('❌ Failed to backfill product slugs:', error.message);
+    }
+
+    // Products created before the publishing workflow
+    try {
+      await require('./models/Product').backfillStatuses();
+    } catch (error) {
+      console.error('❌ Failed to backfill product statuses:', error.message);
+    }
+
+    // Purge products that have been in the trash longer than the retention period
+    require('./services/productTrash').startTrashPurge();
+
+    // Precompute related products / recommendations
+    require('./services/recommendations').startRecommendationJob();
+
+    // Time-decayed trending scores (Product.trending)
+    require('./services/trending').startTrendingJob();
+
+    // HEAD-check external download/preview/image URLs and flag products whose links stay broken
+    require('./services/linkChecker').startLinkChecker();
+
   } catch (error) {
     console.error('❌ Database connection failed:', error.message);
     console.log('❌ Database connection failed. Server will start without database.');
@@ -198,13 +248,19 @@ console.log('\n📡 Loading API routes...');
 // Core routes (NO rate limiting - business logic handles limits)
 loadRoute('./routes/auth', '/api/auth', null, 'Authentication');
 loadRoute('./routes/products', '/api/products', null, 'Products');
+loadRoute('./routes/reviews', '/api/products/:id/reviews', null, 'Product Reviews');
 loadRoute('./routes/user', '/api/user', null, 'User Management');
+loadRoute('./routes/collections', '/api/user', null, 'Favorites & Collections');
+loadRoute('./routes/plans', '/api/plans', null, 'Subscription Plans');
+loadRoute('./routes/categories', '/api/categories', null, 'Product Categories');
+loadRoute('./routes/licenses', '/api/licenses', null, 'Licenses');
 
-// Download route WITHOUT rate limiting - business logic handles 15/day limit
+// Download route WITHOUT rate limiting - business logic handles plan limits
 loadRoute('./routes/download', '/api/download', null, 'Downloads');
 
 // Optional routes
 loadRoute('./routes/admin', '/api/admin', null, 'Admin Panel');
+loadRoute('./routes/uploads', '/api/uploads', null, 'Uploads');
 loadRoute('./routes/chatbot', '/api/chatbot', null, 'Chatbot');
 
 console.log('📡 Route loading completed\n');
@@ -304,15 +360,20 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Server URL: http://localhost:${PORT}`);
   console.log(`📊 MongoDB: ${mongoose.connection.readyState === 1 ? 'Connected ✅' : 'Disconnected ❌'}`);
-  console.log(`💾 Download Limit: 15/day (resets every 24 hours automatically)`);
+  console.log(`💾 Download Limits: per subscription plan (daily + monthly, reset automatically)`);
   console.log(`⚡ Rate Limiting: MINIMAL (only extreme abuse prevention)`);
   console.log('='.repeat(70));
   console.log('📚 Available Endpoints:');
-  console.log('   🔐 Auth: /api/auth/* (login, register, verify-otp)');
-  console.log('   📦 Products: /api/products/* (list, create, update, delete)');
-  console.log('   👤 User: /api/user/* (stats, profile)');
+  console.log('   🔐 Auth: /api/auth/* (login, register, verify-otp, resend-otp, refresh, logout, forgot/reset-password, admin/login)');
+  console.log('   📦 Products: /api/products/* (list, trending, create, update, delete)');
+  console.log('   ⭐ Reviews: /api/products/:id/reviews (verified downloaders, admin moderation)');
+  console.log('   👤 User: /api/user/* (stats, profile, updates, recommendations, notifications, favorites, collections, licenses)');
+  console.log('   💳 Plans: /api/plans (public plan list)');
+  console.log('   🗂️  Categories: /api/categories (category tree with product counts)');
+  console.log('   🔑 Licenses: /api/licenses/* (public key verification and domain deactivation)');
   console.log('   📥 Downloads: /api/download/* (NO rate limiting - business logic only)');
-  console.log('   🛠️  Admin: /api/admin/* (dashboard, management)');
+  console.log('   🛠️  Admin: /api/admin/* (dashboard, management, link health)');
+  console.log('   📁 Uploads: /api/uploads/* (admin package/image uploads)');
   console.log('   ❤️  Health: /api/health (server status)');
   console.log('   🧪 Test: /api/test (connectivity test)');
   console.log('='.repeat(70));
@@ -0,0 +1,319 @@
+// services/catalogTransfer.js
+// Bulk product import (CSV / JSON) and catalog export.
+// Both formats use the same flat columns so an export can be edited and imported again.
+const Product = require('../models/Product');
+const { applyStatusChange } = require('./productWorkflow');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 2000;
+
+const EXPORT_COLUMNS = [
+  'title', 'slug', 'category', 'imageUrl', 'previewUrl', 'downloadUrl', 'featured', 'status', 'publishAt', 'unpublishAt',
+  'description', 'tags', 'version', 'wpMin', 'wpMax', 'phpMin', 'phpMax',
+  'authorName', 'authorUrl', 'licenseType', 'licensingEnabled', 'maxActivations', 'downloads', 'createdAt'
+];
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = 400;
+  }
+}
+
+// RFC 4180 CSV: quoted fields, "" escapes, newlines inside quotes. First row is the header.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ImportError('Invalid CSV: unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+  return records.map(record => columns.reduce((obj, column, index) => {
+    if (column) obj[column] = record[index] !== undefined ? record[index] : '';
+    return obj;
+  }, {}));
+};
+
+// Cells starting with these are treated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+@\t\r]/;
+
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns = EXPORT_COLUMNS) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => toCsvCell(Array.isArray(row[column]) ? row[column].join(', ') : row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+// Read an uploaded import file into plain row objects
+const parseImportFile = (buffer, fileName = '') => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new ImportError(`Invalid JSON: ${error.message}`);
+    }
+    const rows = Array.isArray(data) ? data : data.products;
+    if (!Array.isArray(rows)) {
+      throw new ImportError('JSON import must be an array of products or { "products": [...] }');
+    }
+    return rows;
+  }
+
+  return parseCsv(text);
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (value === undefined || value === null || value === '') return undefined;
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'y'].includes(normalized)) return true;
+  if (['false', '0', 'no', 'n'].includes(normalized)) return false;
+  return undefined;
+};
+
+const blankToUndefined = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).trim();
+  return text === '' ? undefined : text;
+};
+
+// Flat row (CSV columns) or nested JSON product -> the shape Product.applyMetadata expects
+const normalizeRow = (row) => {
+  const compatibility = row.compatibility || {
+    wordpress: { min: blankToUndefined(row.wpMin), max: blankToUndefined(row.wpMax) },
+    php: { min: blankToUndefined(row.phpMin), max: blankToUndefined(row.phpMax) }
+  };
+  const author = row.author || (row.authorName || row.authorUrl
+    ? { name: blankToUndefined(row.authorName), url: blankToUndefined(row.authorUrl) }
+    : undefined);
+  const licensing = row.licensing || {
+    enabled: parseBoolean(row.licensingEnabled),
+    maxActivations: blankToUndefined(row.maxActivations)
+  };
+
+  return {
+    title: blankToUndefined(row.title),
+    slug: blankToUndefined(row.slug),
+    category: blankToUndefined(row.category),
+    imageUrl: blankToUndefined(row.imageUrl),
+    previewUrl: blankToUndefined(row.previewUrl),
+    downloadUrl: blankToUndefined(row.downloadUrl),
+    featured: parseBoolean(row.featured),
+    status: blankToUndefined(row.status),
+    // Files exported before the publishing workflow only have isActive
+    isActive: parseBoolean(row.isActive),
+    publishAt: blankToUndefined(row.publishAt),
+    unpublishAt: blankToUndefined(row.unpublishAt),
+    description: blankToUndefined(row.description),
+    tags: Array.isArray(row.tags) ? row.tags : blankToUndefined(row.tags),
+    version: blankToUndefined(row.version),
+    licenseType: blankToUndefined(row.licenseType),
+    licensing,
+    compatibility,
+    author
+  };
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Existing product to update: by slug when given, otherwise by (case-insensitive) title
+const findExisting = async (input) => {
+  if (input.slug) {
+    const bySlug = await Product.findOne({ slug: Product.slugify(input.slug) });
+    if (bySlug) return bySlug;
+  }
+  if (input.title) {
+    return Product.findOne({ title: { $regex: new RegExp(`^${escapeRegex(input.title)}$`, 'i') } });
+  }
+  return null;
+};
+
+const validationMessages = (error) => error.name === 'ValidationError'
+  ? Object.values(error.errors).map(err => err.message)
+  : [error.message];
+
+// Validate every row and (unless dryRun) create/update products.
+// Rows with errors are skipped; the report says what happened to each row.
+// Row numbers are 1-based data rows (the CSV header is not counted).
+const importProducts = async (rows, { dryRun = false, createdBy = 'admin' } = {}) => {
+  if (rows.length === 0) {
+    throw new ImportError('The import file contains no products');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`Too many rows (${rows.length}). The maximum per import is ${MAX_IMPORT_ROWS}.`);
+  }
+
+  const report = [];
+  const seenTitles = new Map();
+  const seenSlugs = new Map();
+  const summary = { total: rows.length, created: 0, updated: 0, failed: 0 };
+
+  for (let index = 0; index < rows.length; index++) {
+    const rowNumber = index + 1;
+    const input = normalizeRow(rows[index] || {});
+    const errors = [];
+
+    if (!input.title) errors.push('Title is required');
+
+    // Duplicates inside the file itself
+    const titleKey = input.title && input.title.toLowerCase();
+    if (titleKey && seenTitles.has(titleKey)) {
+      errors.push(`Duplicate title in file (same as row ${seenTitles.get(titleKey)})`);
+    }
+    const slugKey = input.slug && Product.slugify(input.slug);
+    if (slugKey && seenSlugs.has(slugKey)) {
+      errors.push(`Duplicate slug in file (same as row ${seenSlugs.get(slugKey)})`);
+    }
+
+    let action = 'create';
+    let product;
+
+    if (errors.length === 0) {
+      try {
+        product = await findExisting(input);
+        action = product ? 'update' : 'create';
+
+        if (!product) {
+          product = new Product({ createdBy });
+        }
+
+        // A slug match must not take over another product's title
+        if (action === 'update' && input.title && input.title.toLowerCase() !== product.title.toLowerCase()) {
+          const titleOwner = await Product.findOne({
+            _id: { $ne: product._id },
+            title: { $regex: new RegExp(`^${escapeRegex(input.title)}$`, 'i') }
+          }).select('_id');
+          if (titleOwner) errors.push('Product with this title already exists');
+        }
+
+        ['title', 'category', 'imageUrl', 'previewUrl', 'downloadUrl', 'featured'].forEach(field => {
+          if (typeof input[field] !== 'undefined') product[field] = input[field];
+        });
+        product.applyMetadata(input);
+
+        // New rows default to draft; existing products keep their status unless the row sets one
+        const status = input.status ||
+          (typeof input.isActive === 'boolean' ? (input.isActive ? 'published' : 'archived') : undefined);
+        if (action === 'create' || status || input.publishAt || input.unpublishAt) {
+          applyStatusChange(product, {
+            status: status || product.status || 'draft',
+            publishAt: input.publishAt,
+            unpublishAt: input.unpublishAt,
+            note: 'Imported'
+          }, createdBy);
+        }
+
+        await product.validate();
+      } catch (error) {
+        errors.push(...validationMessages(error));
+      }
+    }
+
+    if (titleKey) seenTitles.set(titleKey, seenTitles.get(titleKey) || rowNumber);
+    if (slugKey) seenSlugs.set(slugKey, seenSlugs.get(slugKey) || rowNumber);
+
+    if (errors.length === 0 && !dryRun) {
+      try {
+        await product.save();
+      } catch (error) {
+        errors.push(error.code === 11000 ? 'Product with this slug already exists' : validationMessages(error).join(', '));
+      }
+    }
+
+    if (errors.length > 0) {
+      summary.failed++;
+      report.push({ row: rowNumber, title: input.title, action: 'skip', errors });
+    } else {
+      summary[action === 'create' ? 'created' : 'updated']++;
+      report.push({ row: rowNumber, title: product.title, slug: product.slug, action, id: dryRun && action === 'create' ? undefined : product._id });
+    }
+  }
+
+  return { dryRun, summary, rows: report };
+};
+
+// Product document -> flat export row
+const toExportRow = (product) => ({
+  title: product.title,
+  slug: product.slug,
+  category: product.category,
+  imageUrl: product.imageUrl,
+  previewUrl: product.previewUrl,
+  downloadUrl: product.downloadUrl,
+  featured: Boolean(product.featured),
+  status: product.status,
+  publishAt: product.publishAt,
+  unpublishAt: product.unpublishAt,
+  description: product.description,
+  tags: product.tags || [],
+  version: product.version,
+  wpMin: product.compatibility?.wordpress?.min,
+  wpMax: product.compatibility?.wordpress?.max,
+  phpMin: product.compatibility?.php?.min,
+  phpMax: product.compatibility?.php?.max,
+  authorName: product.author?.name,
+  authorUrl: product.author?.url,
+  licenseType: product.licenseType,
+  licensingEnabled: Boolean(product.licensing?.enabled),
+  maxActivations: product.licensing?.maxActivations,
+  downloads: product.downloads || 0,
+  createdAt: product.createdAt
+});
+
+module.exports = {
+  ImportError,
+  EXPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  toCsv,
+  parseImportFile,
+  importProducts,
+  toExportRow
+};
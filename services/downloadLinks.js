@@ -0,0 +1,214 @@
+// services/downloadLinks.js
+// Short-lived, single-use signed links to product files.
+// Token: base64url(JSON payload) + '.' + base64url(HMAC-SHA256(payload))
+// The payload binds the link to a user and a Download record; the nonce is stored on
+// the Download record so each link can only be redeemed once.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Readable, Transform, pipeline } = require('stream');
+const Download = require('../models/Download');
+const { DownloadError } = require('./downloadService');
+const { UploadError, streamAsset } = require('./fileStorage');
+
+const DOWNLOAD_LINK_TTL_MINUTES = parseInt(process.env.DOWNLOAD_LINK_TTL_MINUTES) || 15;
+
+// DOWNLOAD_DELIVERY: 'redirect' (default) sends the client to the file URL,
+// 'stream' proxies the file so the origin URL is never revealed.
+// Packages hosted on this server (uploads) are always streamed.
+const DOWNLOAD_DELIVERY = process.env.DOWNLOAD_DELIVERY === 'stream' ? 'stream' : 'redirect';
+
+// Stream mode: give up on the file host after this long without a response or a new chunk of data
+const DOWNLOAD_UPSTREAM_TIMEOUT_MS = parseInt(process.env.DOWNLOAD_UPSTREAM_TIMEOUT_MS) || 30000;
+
+const getSecret = () => process.env.DOWNLOAD_LINK_SECRET || process.env.JWT_SECRET;
+
+const sign = (encodedPayload) => crypto
+  .createHmac('sha256', getSecret())
+  .update(encodedPayload)
+  .digest('base64url');
+
+// Public base URL of the API, used to build absolute download links
+const getBaseUrl = (req) => (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+// Issue a new link for a Download record (replaces any earlier unredeemed link)
+// Returns { token, url, expiresAt }
+const createDownloadLink = async (download, req) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + DOWNLOAD_LINK_TTL_MINUTES * 60 * 1000);
+
+  await Download.updateOne(
+    { _id: download._id },
+    { $set: { 'link.nonce': nonce, 'link.expiresAt': expiresAt }, $unset: { 'link.redeemedAt': '' } }
+  );
+
+  const payload = Buffer.from(JSON.stringify({
+    d: download._id.toString(),
+    u: download.userId.toString(),
+    n: nonce,
+    exp: expiresAt.getTime()
+  })).toString('base64url');
+
+  const token = `${payload}.${sign(payload)}`;
+
+  return {
+    token,
+    url: `${getBaseUrl(req)}/api/download/file/${token}`,
+    expiresAt
+  };
+};
+
+// Check the signature and decode the payload; throws DownloadError(403) when tampered
+const decodeDownloadToken = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    throw new DownloadError(403, 'Invalid download link');
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw new DownloadError(403, 'Invalid download link');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new DownloadError(403, 'Invalid download link');
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(claims.d) || !mongoose.Types.ObjectId.isValid(claims.u) || !claims.n) {
+    throw new DownloadError(403, 'Invalid download link');
+  }
+  return claims;
+};
+
+// Validate a token and mark it used. Every attempt on a known Download record is logged on it.
+// Resolves with the Download record (productId populated with the file location).
+const redeemDownloadToken = async (token, meta = {}) => {
+  const claims = decodeDownloadToken(token);
+  const now = new Date();
+  const entry = (outcome) => ({
+    redeemedAt: now,
+    outcome,
+    ipAddress: meta.ipAddress || 'unknown',
+    userAgent: meta.userAgent || 'unknown'
+  });
+
+  // Single atomic update so two parallel requests can't both redeem the same link
+  const download = await Download.findOneAndUpdate(
+    {
+      _id: claims.d,
+      userId: claims.u,
+      'link.nonce': claims.n,
+      'link.redeemedAt': { $exists: false },
+      'link.expiresAt': { $gt: now }
+    },
+    { $set: { 'link.redeemedAt': now }, $push: { redemptions: entry('success') } },
+    { new: true }
+  ).populate({
+    path: 'productId',
+    select: 'title slug version downloadUrl packageAsset releases createdAt isActive',
+    populate: [{ path: 'packageAsset' }, { path: 'releases.packageAsset' }]
+  });
+
+  if (download) {
+    console.log(`📦 Download link redeemed: ${download._id} (user ${claims.u})`);
+    return download;
+  }
+
+  // Work out why it failed, and record the attempt
+  const outcome = claims.exp <= now.getTime() ? 'expired' : 'reused';
+  await Download.updateOne(
+    { _id: claims.d, userId: claims.u },
+    { $push: { redemptions: entry(outcome) } }
+  ).catch(error => console.error('❌ Failed to log download link redemption:', error.message));
+
+  console.warn(`🚫 Download link rejected (${outcome}): ${claims.d} (user ${claims.u})`);
+
+  throw new DownloadError(410, outcome === 'expired'
+    ? 'This download link has expired. Please request a new one.'
+    : 'This download link has already been used. Please request a new one.', { reason: outcome });
+};
+
+// Send the file of the release a Download delivered: hosted package, or external URL (see DOWNLOAD_DELIVERY)
+const deliverFile = async (download, res) => {
+  const product = download.productId;
+  const release = product && product.findRelease(download.version);
+  if (!release) {
+    throw new DownloadError(404, 'Product file not found');
+  }
+
+  res.set('Cache-Control', 'no-store');
+
+  if (release.packageAsset) {
+    try {
+      return await streamAsset(release.packageAsset, res, `${product.slug || 'product'}-${release.version}.zip`);
+    } catch (error) {
+      if (error instanceof UploadError) throw new DownloadError(error.status, error.message);
+      throw error;
+    }
+  }
+
+  const fileUrl = release.downloadUrl;
+  if (DOWNLOAD_DELIVERY === 'redirect') {
+    return res.redirect(302, fileUrl);
+  }
+
+  // Idle timeout rather than a total one: large files may take longer than the limit, stalled hosts may not
+  const controller = new AbortController();
+  let idleTimer;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => controller.abort(), DOWNLOAD_UPSTREAM_TIMEOUT_MS);
+  };
+  resetIdleTimer();
+
+  let upstream;
+  try {
+    upstream = await fetch(fileUrl, { signal: controller.signal });
+  } catch (error) {
+    clearTimeout(idleTimer);
+    console.error('❌ Upstream download error:', controller.signal.aborted ? `no response in ${DOWNLOAD_UPSTREAM_TIMEOUT_MS}ms` : error.message);
+    throw new DownloadError(controller.signal.aborted ? 504 : 502, 'The file is temporarily unavailable. Please request a new download link.');
+  }
+  if (!upstream.ok || !upstream.body) {
+    clearTimeout(idleTimer);
+    controller.abort();
+    throw new DownloadError(502, 'The file is temporarily unavailable. Please request a new download link.');
+  }
+
+  ['content-type', 'content-length', 'content-disposition', 'last-modified'].forEach(header => {
+    const value = upstream.headers.get(header);
+    if (value) res.set(header, value);
+  });
+
+  const keepAlive = new Transform({
+    transform(chunk, encoding, callback) {
+      resetIdleTimer();
+      callback(null, chunk);
+    }
+  });
+
+  await new Promise((resolve) => {
+    pipeline(Readable.fromWeb(upstream.body), keepAlive, res, (error) => {
+      clearTimeout(idleTimer);
+      // Headers are already sent at this point, so an upstream error can only abort the response
+      if (error) {
+        console.error('❌ Upstream stream error:', controller.signal.aborted ? `stalled for ${DOWNLOAD_UPSTREAM_TIMEOUT_MS}ms` : error.message);
+        controller.abort();
+        res.destroy(error);
+      }
+      resolve();
+    });
+  });
+};
+
+module.exports = {
+  DOWNLOAD_LINK_TTL_MINUTES,
+  DOWNLOAD_DELIVERY,
+  DOWNLOAD_UPSTREAM_TIMEOUT_MS,
+  createDownloadLink,
+  redeemDownloadToken,
+  deliverFile
+};
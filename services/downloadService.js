@@ -0,0 +1,288 @@
+// services/downloadService.js
+// Single quota engine used by every download endpoint:
+// /api/download/:productId, /api/chatbot/download/:productId and /api/products/:id/download
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Download = require('../models/Download');
+const Plan = require('../models/Plan');
+const License = require('../models/License');
+const mailer = require('./mailer');
+
+// Re-requesting the same product within this window returns the link again without using quota
+const REDOWNLOAD_WINDOW_MINUTES = 30;
+
+// Email a warning once, on the download that crosses this share of the monthly limit
+const QUOTA_WARNING_THRESHOLD = parseFloat(process.env.QUOTA_WARNING_THRESHOLD) || 0.8;
+
+class DownloadError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'DownloadError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Build the 429 payload for a user who is out of quota
+const buildLimitError = (downloadCheck, plan) => {
+  const upgrade = Plan.getUpgradeFor(plan);
+  let message = '';
+  let resetInfo = {};
+
+  if (downloadCheck.daily.remaining <= 0) {
+    message = `Daily limit reached! You have used all ${downloadCheck.daily.limit} downloads today. Your limit will reset in ${downloadCheck.daily.hoursUntilReset} hour${downloadCheck.daily.hoursUntilReset === 1 ? '' : 's'}.`;
+    resetInfo = {
+      type: 'daily',
+      resetTime: downloadCheck.resetInfo.nextDailyReset,
+      hoursUntilReset: downloadCheck.daily.hoursUntilReset
+    };
+  } else if (downloadCheck.monthly.remaining <= 0) {
+    message = `Monthly limit reached! You have used all ${downloadCheck.monthly.limit} downloads this month. ${upgrade ? `Upgrade to ${upgrade.name} for ${upgrade.monthlyLimit} downloads per month!` : 'Your limit will reset next month.'}`;
+    resetInfo = {
+      type: 'monthly',
+      resetTime: downloadCheck.resetInfo.nextMonthlyReset,
+      daysUntilReset: downloadCheck.monthly.daysUntilReset
+    };
+  }
+
+  return new DownloadError(429, message, {
+    error: 'Download limit exceeded',
+    limits: {
+      daily: downloadCheck.daily,
+      monthly: downloadCheck.monthly,
+      subscription: downloadCheck.subscription,
+      plan: downloadCheck.plan
+    },
+    resetInfo,
+    canUpgrade: Boolean(upgrade),
+    upgradePlan: upgrade ? upgrade.slug : undefined
+  });
+};
+
+const sendQuotaWarningIfNeeded = (user, downloadCheck) => {
+  const { used, limit, remaining } = downloadCheck.monthly;
+  if (!user.preferences?.emailNotifications || remaining <= 0) return;
+  if (used !== Math.ceil(limit * QUOTA_WARNING_THRESHOLD)) return;
+
+  mailer.sendTemplate('quotaWarning', {
+    to: user.email,
+    language: user.preferences?.language,
+    data: {
+      name: user.name,
+      period: 'monthly',
+      used,
+      limit,
+      remaining,
+      resetsAt: downloadCheck.resetInfo.nextMonthlyReset
+    },
+    retries: 1
+  }).catch(error => console.error('❌ Failed to send quota warning email:', error.message));
+};
+
+// Current quota for a user (resets stale counters and persists the reset)
+const getQuotaStatus = async (user) => {
+  const downloadCheck = user.canDownload();
+  if (downloadCheck.resetInfo && (downloadCheck.resetInfo.dailyReset || downloadCheck.resetInfo.monthlyReset)) {
+    await user.save();
+  }
+  return downloadCheck;
+};
+
+// Multi-document transactions need a replica set or sharded cluster. On a standalone mongod
+// (common in development and small self-hosted setups) downloads use an atomic quota update instead.
+// Detected once per connection; server.js calls this at startup so the mode shows in the log.
+let transactionSupport = null;
+
+const detectTransactionSupport = async () => {
+  if (transactionSupport === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return transactionSupport;
+};
+
+// Check quota and record a download.
+// Throws DownloadError (status + details) when the download is not allowed.
+// version: optional release to deliver (defaults to the current one).
+// Resolves with { user, product, release, download, license, userStats, isRedownload };
+// license is the user's key for the product when product.licensing is enabled, otherwise null.
+const processDownload = async ({ userId, productId, version, source = 'web', ipAddress, userAgent }) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new DownloadError(400, 'Invalid product ID format');
+  }
+
+  // session is null when transactions aren't available
+  const recordDownload = async (session) => {
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      throw new DownloadError(404, 'User not found');
+    }
+
+    if (!user.isVerified) {
+      throw new DownloadError(403, 'Please verify your email to download products', { requiresVerification: true });
+    }
+
+    const product = await Product.findById(productId).session(session);
+    if (!product || !product.isPubliclyVisible()) {
+      throw new DownloadError(404, 'Product not found or not published');
+    }
+
+    const release = product.findRelease(version);
+    if (!release) {
+      throw new DownloadError(404, version
+        ? `Version ${version} of "${product.title}" is not available`
+        : 'No downloadable file for this product');
+    }
+
+    const plan = user.getActivePlan();
+    if (!Plan.includesCategory(plan, product.category)) {
+      throw new DownloadError(403, `Your ${plan.name} plan does not include ${product.category}. Upgrade your plan to download this product.`, {
+        planRestricted: true,
+        plan: plan.slug,
+        allowedCategories: plan.allowedCategories
+      });
+    }
+
+    const downloadCheck = user.canDownload();
+    const issueLicense = () => (product.licensing?.enabled ? License.issueFor(user, product, { session }) : null);
+
+    // Same product version again shortly after - hand the link back without using quota
+    const recentSince = new Date(Date.now() - REDOWNLOAD_WINDOW_MINUTES * 60 * 1000);
+    const recentDownload = await Download.findOne({
+      userId: user._id,
+      productId: product._id,
+      version: release.version,
+      downloadDate: { $gte: recentSince }
+    }).sort({ downloadDate: -1 }).session(session);
+
+    if (recentDownload) {
+      const license = await issueLicense();
+      return { user, product, release, download: recentDownload, license, userStats: downloadCheck, isRedownload: true };
+    }
+
+    console.log('📊 Download check:', {
+      email: user.email,
+      source,
+      daily: `${downloadCheck.daily.used}/${downloadCheck.daily.limit}`,
+      monthly: `${downloadCheck.monthly.used}/${downloadCheck.monthly.limit}`,
+      canDownload: downloadCheck.canDownload
+    });
+
+    if (!downloadCheck.canDownload) {
+      throw buildLimitError(downloadCheck, plan);
+    }
+
+    const productData = {
+      productId: product._id,
+      productTitle: product.title,
+      productCategory: product.category,
+      downloadSource: source,
+      ipAddress
+    };
+
+    // Without a transaction the quota is claimed first, atomically, and given back if recording fails
+    let claimed = null;
+    if (!session) {
+      claimed = await user.claimDownloadSlot(productData);
+      if (!claimed) {
+        // Refused by the limits, or by a day/month rollover in between: look again before giving up
+        const current = await User.findById(user._id);
+        const currentCheck = current.canDownload();
+        if (!currentCheck.canDownload) {
+          throw buildLimitError(currentCheck, plan);
+        }
+        claimed = await current.claimDownloadSlot(productData);
+        if (!claimed) {
+          throw new DownloadError(409, 'Your download quota changed while this download was processed. Please try again.');
+        }
+      }
+    }
+
+    let download;
+    try {
+      [download] = await Download.create([{
+        userId: user._id,
+        productId: product._id,
+        productTitle: product.title,
+        downloadDate: new Date(),
+        ipAddress: ipAddress || 'unknown',
+        userAgent: userAgent || 'unknown',
+        downloadUrl: release.downloadUrl,
+        version: release.version,
+        downloadSource: source
+      }], { session });
+    } catch (error) {
+      if (claimed) await claimed.user.releaseDownloadSlot(claimed.entryId);
+      throw error;
+    }
+
+    const counted = claimed ? claimed.user : user;
+    if (session) {
+      await user.incrementDownloadCount(productData, { session });
+    }
+
+    await Product.updateOne({ _id: product._id }, { $inc: { downloads: 1 } }, { session });
+    product.downloads = (product.downloads || 0) + 1;
+
+    const license = await issueLicense();
+    return { user: counted, product, release, download, license, userStats: counted.canDownload(), isRedownload: false };
+  };
+
+  let result;
+  if (await detectTransactionSupport()) {
+    const session = await mongoose.startSession();
+    try {
+      // withTransaction retries on write conflicts, so two parallel downloads
+      // by the same user can't both slip under the limit
+      await session.withTransaction(async () => {
+        result = await recordDownload(session);
+      });
+    } finally {
+      session.endSession();
+    }
+  } else {
+    result = await recordDownload(null);
+  }
+
+  if (!result.isRedownload) {
+    console.log('✅ Download recorded:', {
+      userEmail: result.user.email,
+      productTitle: result.product.title,
+      version: result.release.version,
+      source,
+      dailyRemaining: result.userStats.daily.remaining,
+      monthlyRemaining: result.userStats.monthly.remaining
+    });
+    sendQuotaWarningIfNeeded(result.user, result.userStats);
+  }
+
+  return result;
+};
+
+// Send a DownloadError (or unexpected error) as the standard JSON error response
+const sendDownloadError = (res, error, fallbackMessage = 'Download failed due to server error') => {
+  if (error instanceof DownloadError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  console.error('❌ Download error:', error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+module.exports = {
+  DownloadError,
+  detectTransactionSupport,
+  processDownload,
+  getQuotaStatus,
+  sendDownloadError,
+  REDOWNLOAD_WINDOW_MINUTES
+};
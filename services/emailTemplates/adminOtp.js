@@ -0,0 +1,178 @@
+// services/emailTemplates/adminOtp.js
+const { escapeHtml } = require('./helpers');
+
+// Sent to ADMIN_EMAIL in admin-approval mode
+// data: { name, email, userId, otp, expiryMinutes }
+module.exports = {
+  en: {
+    subject: (d) => `🔐 ${d.companyName} - New User Registration OTP`,
+    html: (d) => `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <title>New User Registration OTP</title>
+    <style>
+      body { 
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
+        line-height: 1.6; 
+        color: #333; 
+        background-color: #f4f4f4; 
+        margin: 0; 
+        padding: 20px; 
+      }
+      .container { 
+        max-width: 600px; 
+        margin: 0 auto; 
+        background: white; 
+        border-radius: 15px; 
+        overflow: hidden; 
+        box-shadow: 0 10px 30px rgba(0,0,0,0.1); 
+      }
+      .header { 
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+        color: white; 
+        padding: 30px; 
+        text-align: center; 
+      }
+      .header h1 { 
+        margin: 0; 
+        font-size: 28px; 
+        font-weight: 700;
+      }
+      .content { 
+        padding: 40px 30px; 
+      }
+      .otp-container {
+        text-align: center;
+        margin: 30px 0;
+      }
+      .otp-code { 
+        font-size: 48px; 
+        font-weight: 900; 
+        color: #667eea; 
+        background: linear-gradient(45deg, #f0f2f5, #ffffff);
+        padding: 25px 40px; 
+        border: 3px solid #667eea; 
+        border-radius: 15px;
+        letter-spacing: 8px;
+        display: inline-block;
+        box-shadow: 0 5px 15px rgba(102, 126, 234, 0.2);
+      }
+      .user-info { 
+        background: linear-gradient(135deg, #e8f5e8, #f0f8f0); 
+        padding: 25px; 
+        border-left: 5px solid #28a745; 
+        margin: 25px 0;
+        border-radius: 10px;
+      }
+      .info-row { 
+        margin: 15px 0; 
+        font-size: 16px; 
+        display: flex;
+        align-items: center;
+      }
+      .info-icon {
+        margin-right: 10px;
+        font-size: 18px;
+      }
+      .warning-box {
+        background: linear-gradient(135deg, #fff3cd, #fef9e7);
+        border: 2px solid #ffc107;
+        border-radius: 10px;
+        padding: 25px;
+        margin: 25px 0;
+      }
+      .footer { 
+        background: #f8f9fa; 
+        text-align: center; 
+        color: #666; 
+        font-size: 14px; 
+        padding: 25px; 
+        border-top: 1px solid #dee2e6;
+      }
+      .btn {
+        display: inline-block;
+        padding: 12px 30px;
+        background: #667eea;
+        color: white;
+        text-decoration: none;
+        border-radius: 25px;
+        font-weight: 600;
+        margin: 10px;
+      }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h1>🎯 ${escapeHtml(d.companyName)}</h1>
+        <p style="margin: 10px 0 0 0; font-size: 18px;">New User Registration Request</p>
+      </div>
+      <div class="content">
+        <h2 style="color: #667eea; margin-bottom: 20px;">📝 User Registration Details</h2>
+        <div class="user-info">
+          <div class="info-row">
+            <span class="info-icon">👤</span>
+            <strong>Name:</strong> &nbsp; ${escapeHtml(d.name)}
+          </div>
+          <div class="info-row">
+            <span class="info-icon">📧</span>
+            <strong>Email:</strong> &nbsp; ${escapeHtml(d.email)}
+          </div>
+          <div class="info-row">
+            <span class="info-icon">⏰</span>
+            <strong>Registration Time:</strong> &nbsp; ${new Date().toLocaleString()}
+          </div>
+          <div class="info-row">
+            <span class="info-icon">🔒</span>
+            <strong>User ID:</strong> &nbsp; ${escapeHtml(d.userId)}
+          </div>
+        </div>
+        
+        <h2 style="color: #667eea; text-align: center; margin: 30px 0 20px 0;">🔐 Verification OTP</h2>
+        <div class="otp-container">
+          <div class="otp-code">${escapeHtml(d.otp)}</div>
+          <p style="margin-top: 15px; color: #666; font-size: 14px;">
+            This OTP expires in ${d.expiryMinutes} minutes
+          </p>
+        </div>
+        
+        <div class="warning-box">
+          <h3 style="margin-top: 0; color: #856404;">⚡ Important Instructions</h3>
+          <ul style="margin: 15px 0; padding-left: 20px;">
+            <li><strong>Valid for ${d.expiryMinutes} minutes only</strong></li>
+            <li>Provide this OTP to user: <strong>${escapeHtml(d.email)}</strong></li>
+            <li>User must enter this OTP to complete registration</li>
+            <li>Do not share this OTP with anyone else</li>
+          </ul>
+        </div>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <p style="font-size: 16px; color: #555;">
+            Contact the user at: <a href="mailto:${escapeHtml(d.email)}" style="color: #667eea;">${escapeHtml(d.email)}</a>
+          </p>
+        </div>
+      </div>
+      <div class="footer">
+        <p><strong>${escapeHtml(d.companyName)}</strong> - Automated Registration System</p>
+        <p>Support: <a href="mailto:${escapeHtml(d.supportEmail)}">${escapeHtml(d.supportEmail)}</a></p>
+        <p style="margin-top: 15px; font-size: 12px; color: #999;">
+          Generated at: ${new Date().toLocaleString()} | Server Time
+        </p>
+      </div>
+    </div>
+  </body>
+  </html>
+    `,
+    text: (d) => `New user registration on ${d.companyName}
+
+Name: ${d.name}
+Email: ${d.email}
+User ID: ${d.userId}
+
+Verification OTP: ${d.otp} (valid for ${d.expiryMinutes} minutes)
+
+Provide this OTP to ${d.email} or approve the registration from the admin panel.`
+  }
+};
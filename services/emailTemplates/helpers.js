@@ -0,0 +1,49 @@
+// services/emailTemplates/helpers.js
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Plain-text fallback for templates that only define html
+const htmlToText = (html) => html
+  .replace(/<style[\s\S]*?<\/style>/gi, '')
+  .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\n\s*\n\s*\n+/g, '\n\n')
+  .split('\n').map(line => line.trim()).join('\n')
+  .trim();
+
+// Shared wrapper used by the simple templates
+const layout = (title, bodyHtml) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background: #f9f9f9;">
+    <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 5px 15px rgba(0,0,0,0.1);">
+      <h2 style="color: #667eea; margin-bottom: 20px;">${title}</h2>
+      ${bodyHtml}
+    </div>
+  </div>
+`;
+
+const button = (href, label) => `
+  <div style="text-align: center; margin: 30px 0;">
+    <a href="${escapeHtml(href)}" style="display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 25px; font-weight: 600;">${escapeHtml(label)}</a>
+  </div>
+`;
+
+module.exports = {
+  escapeHtml,
+  htmlToText,
+  layout,
+  button
+};
@@ -0,0 +1,50 @@
+// services/emailTemplates/index.js
+const { htmlToText } = require('./helpers');
+
+const templates = {
+  otp: require('./otp'),
+  adminOtp: require('./adminOtp'),
+  welcome: require('./welcome'),
+  passwordReset: require('./passwordReset'),
+  quotaWarning: require('./quotaWarning'),
+  productUpdate: require('./productUpdate'),
+  test: require('./test')
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Pick the best language variant: exact ('pt-BR') -> base ('pt') -> default ('en')
+const resolveVariant = (template, language) => {
+  const requested = String(language || DEFAULT_LANGUAGE).toLowerCase();
+  const base = requested.split(/[-_]/)[0];
+  return template[requested] || template[base] || template[DEFAULT_LANGUAGE];
+};
+
+// Render a named template into { subject, html, text }
+const renderTemplate = (name, language, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const variant = resolveVariant(template, language);
+  const context = {
+    companyName: process.env.COMPANY_NAME || 'EnvatoClone',
+    supportEmail: process.env.SUPPORT_EMAIL || process.env.EMAIL_USER,
+    clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+    ...data
+  };
+
+  const html = variant.html(context);
+
+  return {
+    subject: variant.subject(context),
+    html,
+    text: variant.text ? variant.text(context) : htmlToText(html)
+  };
+};
+
+module.exports = {
+  renderTemplate,
+  templateNames: Object.keys(templates)
+};
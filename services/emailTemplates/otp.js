@@ -0,0 +1,45 @@
+// services/emailTemplates/otp.js
+const { escapeHtml, layout } = require('./helpers');
+
+const codeBlock = (otp) => `
+  <div style="text-align: center; margin: 30px 0;">
+    <div style="font-size: 40px; font-weight: 900; color: #667eea; letter-spacing: 8px; padding: 20px 30px; border: 3px solid #667eea; border-radius: 15px; display: inline-block;">
+      ${escapeHtml(otp)}
+    </div>
+  </div>
+`;
+
+module.exports = {
+  en: {
+    subject: (d) => `🔐 ${d.companyName} - Your verification code`,
+    html: (d) => layout('🔐 Verify your email', `
+      <p style="font-size: 16px;">Hi ${escapeHtml(d.name)},</p>
+      <p style="font-size: 16px;">Use the code below to complete your ${escapeHtml(d.companyName)} registration:</p>
+      ${codeBlock(d.otp)}
+      <p style="font-size: 14px; color: #666;">
+        This code expires in ${d.expiryMinutes} minutes. If you didn't create an account, you can ignore this email.
+      </p>
+    `),
+    text: (d) => `Hi ${d.name},
+
+Your ${d.companyName} verification code is: ${d.otp}
+
+This code expires in ${d.expiryMinutes} minutes. If you didn't create an account, you can ignore this email.`
+  },
+  es: {
+    subject: (d) => `🔐 ${d.companyName} - Tu código de verificación`,
+    html: (d) => layout('🔐 Verifica tu correo', `
+      <p style="font-size: 16px;">Hola ${escapeHtml(d.name)},</p>
+      <p style="font-size: 16px;">Usa el siguiente código para completar tu registro en ${escapeHtml(d.companyName)}:</p>
+      ${codeBlock(d.otp)}
+      <p style="font-size: 14px; color: #666;">
+        Este código caduca en ${d.expiryMinutes} minutos. Si no creaste una cuenta, puedes ignorar este correo.
+      </p>
+    `),
+    text: (d) => `Hola ${d.name},
+
+Tu código de verificación de ${d.companyName} es: ${d.otp}
+
+Este código caduca en ${d.expiryMinutes} minutos. Si no creaste una cuenta, puedes ignorar este correo.`
+  }
+};
@@ -0,0 +1,55 @@
+// services/emailTemplates/passwordReset.js
+const { escapeHtml, layout, button } = require('./helpers');
+
+module.exports = {
+  en: {
+    subject: (d) => `🔑 ${d.companyName} - Password Reset Request`,
+    html: (d) => layout('🔑 Reset your password', `
+      <p style="font-size: 16px;">Hi ${escapeHtml(d.name)},</p>
+      <p style="font-size: 16px;">
+        We received a request to reset the password for your ${escapeHtml(d.companyName)} account.
+        Click the button below to choose a new password.
+      </p>
+      ${button(d.resetUrl, 'Reset Password')}
+      <p style="font-size: 14px; color: #666;">
+        This link expires in ${d.expiryMinutes} minutes and can only be used once.
+        If you didn't request a password reset, you can safely ignore this email.
+      </p>
+      <p style="font-size: 12px; color: #999; word-break: break-all;">${escapeHtml(d.resetUrl)}</p>
+    `),
+    text: (d) => `Hi ${d.name},
+
+We received a request to reset the password for your ${d.companyName} account.
+Open this link to choose a new password:
+
+${d.resetUrl}
+
+This link expires in ${d.expiryMinutes} minutes and can only be used once.
+If you didn't request a password reset, you can safely ignore this email.`
+  },
+  es: {
+    subject: (d) => `🔑 ${d.companyName} - Restablecer contraseña`,
+    html: (d) => layout('🔑 Restablece tu contraseña', `
+      <p style="font-size: 16px;">Hola ${escapeHtml(d.name)},</p>
+      <p style="font-size: 16px;">
+        Recibimos una solicitud para restablecer la contraseña de tu cuenta de ${escapeHtml(d.companyName)}.
+        Haz clic en el botón para elegir una nueva contraseña.
+      </p>
+      ${button(d.resetUrl, 'Restablecer contraseña')}
+      <p style="font-size: 14px; color: #666;">
+        Este enlace caduca en ${d.expiryMinutes} minutos y solo puede usarse una vez.
+        Si no solicitaste este cambio, puedes ignorar este correo.
+      </p>
+      <p style="font-size: 12px; color: #999; word-break: break-all;">${escapeHtml(d.resetUrl)}</p>
+    `),
+    text: (d) => `Hola ${d.name},
+
+Recibimos una solicitud para restablecer la contraseña de tu cuenta de ${d.companyName}.
+Abre este enlace para elegir una nueva contraseña:
+
+${d.resetUrl}
+
+Este enlace caduca en ${d.expiryMinutes} minutos y solo puede usarse una vez.
+Si no solicitaste este cambio, puedes ignorar este correo.`
+  }
+};
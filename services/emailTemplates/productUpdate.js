@@ -0,0 +1,49 @@
+// services/emailTemplates/productUpdate.js
+const { escapeHtml, layout, button } = require('./helpers');
+
+// data: { name, productTitle, version, previousVersion, releaseNotes, productUrl, reason: 'new_version' | 'file_updated' }
+const notesBlock = (d, heading) => d.releaseNotes ? `
+      <p style="font-size: 14px; font-weight: 600; margin-bottom: 5px;">${heading}</p>
+      <pre style="font-family: inherit; font-size: 14px; white-space: pre-wrap; background: #f4f4f8; padding: 15px; border-radius: 6px;">${escapeHtml(d.releaseNotes)}</pre>
+` : '';
+
+module.exports = {
+  en: {
+    subject: (d) => d.reason === 'file_updated'
+      ? `📦 ${d.productTitle} has been updated`
+      : `📦 ${d.productTitle} ${d.version} is available`,
+    html: (d) => layout(`📦 ${escapeHtml(d.productTitle)} ${escapeHtml(d.version)}`, `
+      <p style="font-size: 16px;">Hi ${escapeHtml(d.name)},</p>
+      <p style="font-size: 16px;">
+        ${d.reason === 'file_updated'
+          ? `The download for <strong>${escapeHtml(d.productTitle)}</strong>, which you downloaded before, has been updated.`
+          : `A new version of <strong>${escapeHtml(d.productTitle)}</strong>, which you downloaded before, is available:
+             ${d.previousVersion ? `${escapeHtml(d.previousVersion)} → ` : ''}<strong>${escapeHtml(d.version)}</strong>.`}
+      </p>
+      ${notesBlock(d, "What's new")}
+      ${button(d.productUrl, 'Get the update')}
+      <p style="font-size: 12px; color: #999;">
+        You receive this because download notifications are on in your account preferences.
+      </p>
+    `)
+  },
+  es: {
+    subject: (d) => d.reason === 'file_updated'
+      ? `📦 ${d.productTitle} se ha actualizado`
+      : `📦 ${d.productTitle} ${d.version} ya está disponible`,
+    html: (d) => layout(`📦 ${escapeHtml(d.productTitle)} ${escapeHtml(d.version)}`, `
+      <p style="font-size: 16px;">Hola ${escapeHtml(d.name)},</p>
+      <p style="font-size: 16px;">
+        ${d.reason === 'file_updated'
+          ? `La descarga de <strong>${escapeHtml(d.productTitle)}</strong>, que descargaste anteriormente, se ha actualizado.`
+          : `Hay una nueva versión de <strong>${escapeHtml(d.productTitle)}</strong>, que descargaste anteriormente:
+             ${d.previousVersion ? `${escapeHtml(d.previousVersion)} → ` : ''}<strong>${escapeHtml(d.version)}</strong>.`}
+      </p>
+      ${notesBlock(d, 'Novedades')}
+      ${button(d.productUrl, 'Obtener la actualización')}
+      <p style="font-size: 12px; color: #999;">
+        Recibes este correo porque tienes activadas las notificaciones de descargas en tus preferencias.
+      </p>
+    `)
+  }
+};
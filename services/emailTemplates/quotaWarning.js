@@ -0,0 +1,32 @@
+// services/emailTemplates/quotaWarning.js
+const { escapeHtml, layout } = require('./helpers');
+
+// data: { name, period: 'daily' | 'monthly', used, limit, remaining, resetsAt }
+module.exports = {
+  en: {
+    subject: (d) => `⚠️ ${d.companyName} - You've used ${d.used} of ${d.limit} ${d.period} downloads`,
+    html: (d) => layout('⚠️ You are close to your download limit', `
+      <p style="font-size: 16px;">Hi ${escapeHtml(d.name)},</p>
+      <p style="font-size: 16px;">
+        You have used <strong>${d.used}</strong> of your <strong>${d.limit}</strong> ${d.period} downloads.
+        Only <strong>${d.remaining}</strong> remaining.
+      </p>
+      <p style="font-size: 14px; color: #666;">
+        Your ${d.period} limit resets on ${new Date(d.resetsAt).toUTCString()}.
+      </p>
+    `)
+  },
+  es: {
+    subject: (d) => `⚠️ ${d.companyName} - Has usado ${d.used} de ${d.limit} descargas (${d.period === 'daily' ? 'diarias' : 'mensuales'})`,
+    html: (d) => layout('⚠️ Estás cerca de tu límite de descargas', `
+      <p style="font-size: 16px;">Hola ${escapeHtml(d.name)},</p>
+      <p style="font-size: 16px;">
+        Has usado <strong>${d.used}</strong> de tus <strong>${d.limit}</strong> descargas ${d.period === 'daily' ? 'diarias' : 'mensuales'}.
+        Te quedan <strong>${d.remaining}</strong>.
+      </p>
+      <p style="font-size: 14px; color: #666;">
+        Tu límite se restablece el ${new Date(d.resetsAt).toUTCString()}.
+      </p>
+    `)
+  }
+};
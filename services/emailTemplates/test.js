@@ -0,0 +1,23 @@
+// services/emailTemplates/test.js
+const { escapeHtml, layout } = require('./helpers');
+
+module.exports = {
+  en: {
+    subject: (d) => `✅ Email Configuration Test - ${d.companyName}`,
+    html: (d) => layout('✅ Email Configuration Test', `
+      <p style="font-size: 16px; margin-bottom: 20px;">
+        Congratulations! Your email configuration is working correctly.
+      </p>
+      <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <h3 style="margin-top: 0; color: #495057;">Configuration Details:</h3>
+        <p><strong>🚚 Driver:</strong> ${escapeHtml(d.driver)}</p>
+        <p><strong>📨 To:</strong> ${escapeHtml(d.to)}</p>
+        <p><strong>⏰ Sent at:</strong> ${new Date().toLocaleString()}</p>
+        <p><strong>🏢 Company:</strong> ${escapeHtml(d.companyName)}</p>
+      </div>
+      <div style="background: #d4edda; border: 1px solid #c3e6cb; color: #155724; padding: 15px; border-radius: 5px;">
+        <strong>🎉 Success!</strong> Your email service is ready to send OTP notifications.
+      </div>
+    `)
+  }
+};
@@ -0,0 +1,33 @@
+// services/emailTemplates/welcome.js
+const { escapeHtml, layout, button } = require('./helpers');
+
+module.exports = {
+  en: {
+    subject: (d) => `🎉 Welcome to ${d.companyName}!`,
+    html: (d) => layout(`🎉 Welcome to ${escapeHtml(d.companyName)}`, `
+      <p style="font-size: 16px;">Hi ${escapeHtml(d.name)},</p>
+      <p style="font-size: 16px;">
+        Your account is verified and ready to go. You can now browse and download
+        WordPress themes and plugins from our catalog.
+      </p>
+      ${button(d.clientUrl, 'Start browsing')}
+      <p style="font-size: 14px; color: #666;">
+        Questions? Contact us at <a href="mailto:${escapeHtml(d.supportEmail)}">${escapeHtml(d.supportEmail)}</a>.
+      </p>
+    `)
+  },
+  es: {
+    subject: (d) => `🎉 ¡Bienvenido a ${d.companyName}!`,
+    html: (d) => layout(`🎉 Bienvenido a ${escapeHtml(d.companyName)}`, `
+      <p style="font-size: 16px;">Hola ${escapeHtml(d.name)},</p>
+      <p style="font-size: 16px;">
+        Tu cuenta está verificada y lista. Ya puedes explorar y descargar
+        temas y plugins de WordPress de nuestro catálogo.
+      </p>
+      ${button(d.clientUrl, 'Empezar a explorar')}
+      <p style="font-size: 14px; color: #666;">
+        ¿Preguntas? Escríbenos a <a href="mailto:${escapeHtml(d.supportEmail)}">${escapeHtml(d.supportEmail)}</a>.
+      </p>
+    `)
+  }
+};
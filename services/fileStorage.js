@@ -0,0 +1,188 @@
+// services/fileStorage.js
+// Admin uploads (multer) and delivery of hosted product files
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+// Bytes; the same value is used for every upload kind
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+// Packages live outside the public uploads folder so they can only be fetched through download links
+const PACKAGE_DIR = path.resolve(process.env.PACKAGE_STORAGE_DIR || path.join(__dirname, '..', 'storage', 'packages'));
+const IMAGE_DIR = path.join(__dirname, '..', 'uploads', 'images');
+
+const UPLOAD_RULES = {
+  package: {
+    dir: PACKAGE_DIR,
+    extensions: ['.zip'],
+    mimeTypes: ['application/zip', 'application/x-zip-compressed', 'application/x-zip', 'multipart/x-zip', 'application/octet-stream']
+  },
+  image: {
+    dir: IMAGE_DIR,
+    extensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
+    mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+  },
+  // Catalog imports are parsed straight from memory and never stored
+  import: {
+    dir: null,
+    extensions: ['.csv', '.json'],
+    mimeTypes: ['text/csv', 'application/csv', 'application/json', 'text/plain', 'application/vnd.ms-excel', 'application/octet-stream']
+  }
+};
+
+// Magic bytes, so a renamed file with a faked Content-Type is still rejected
+const FILE_SIGNATURES = {
+  package: [
+    (buf) => buf.slice(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])),
+    (buf) => buf.slice(0, 4).equals(Buffer.from([0x50, 0x4b, 0x05, 0x06])) // empty archive
+  ],
+  image: [
+    (buf) => buf.slice(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+    (buf) => buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    (buf) => buf.slice(0, 4).toString('ascii') === 'GIF8',
+    (buf) => buf.slice(0, 4).toString('ascii') === 'RIFF' && buf.slice(8, 12).toString('ascii') === 'WEBP'
+  ]
+};
+
+class UploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+const createUploader = (kind) => {
+  const rules = UPLOAD_RULES[kind];
+
+  const storage = rules.dir ? multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(rules.dir, { recursive: true }, (error) => cb(error, rules.dir));
+    },
+    filename: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`);
+    }
+  }) : multer.memoryStorage();
+
+  return multer({
+    storage,
+    limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      if (!rules.extensions.includes(extension)) {
+        return cb(new UploadError(400, `Invalid file extension. Allowed: ${rules.extensions.join(', ')}`));
+      }
+      if (!rules.mimeTypes.includes(file.mimetype)) {
+        return cb(new UploadError(400, `Invalid file type (${file.mimetype}) for a ${kind} upload`));
+      }
+      cb(null, true);
+    }
+  }).single('file');
+};
+
+const uploaders = {
+  package: createUploader('package'),
+  image: createUploader('image'),
+  import: createUploader('import')
+};
+
+// Express middleware: accept a single multipart field named "file" and validate it
+// Sets req.file (multer) on success; responds 400 / 413 on invalid uploads
+const handleUpload = (kind) => (req, res, next) => {
+  uploaders[kind](req, res, (error) => {
+    if (!error && !req.file) {
+      error = new UploadError(400, 'No file uploaded (expected multipart field "file")');
+    }
+
+    if (error) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : (error.status || 400);
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large. Maximum size is ${Math.round(MAX_FILE_SIZE / 1024 / 1024 * 10) / 10} MB`
+        : error.message;
+
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    next();
+  });
+};
+
+const readHeader = async (filePath, length = 16) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.slice(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Check the file's magic bytes match its kind; throws UploadError otherwise
+const verifyFileSignature = async (filePath, kind) => {
+  const header = await readHeader(filePath);
+  if (!FILE_SIGNATURES[kind].some(matches => matches(header))) {
+    throw new UploadError(400, `File contents do not look like a valid ${kind === 'package' ? 'ZIP archive' : 'image'}`);
+  }
+};
+
+const checksumFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+const getAssetPath = (asset) => path.join(UPLOAD_RULES[asset.kind].dir, path.basename(asset.fileName));
+
+const removeFile = async (filePath) => {
+  await fs.promises.unlink(filePath).catch(error => {
+    if (error.code !== 'ENOENT') console.error('❌ Failed to remove file:', error.message);
+  });
+};
+
+// Stream a hosted asset as an attachment
+const streamAsset = async (asset, res, downloadName) => {
+  const filePath = getAssetPath(asset);
+  const stats = await fs.promises.stat(filePath).catch(() => null);
+  if (!stats) {
+    throw new UploadError(404, 'File not found on server');
+  }
+
+  res.set({
+    'Content-Type': asset.mimeType,
+    'Content-Length': stats.size,
+    'Content-Disposition': `attachment; filename="${(downloadName || asset.originalName).replace(/["\\\r\n]/g, '_')}"`,
+    'X-Checksum-SHA256': asset.checksum
+  });
+
+  await new Promise((resolve) => {
+    const stream = fs.createReadStream(filePath);
+    // Headers are already sent at this point, so a read error can only abort the response
+    stream.on('error', (error) => {
+      console.error('❌ File stream error:', error.message);
+      res.destroy(error);
+      resolve();
+    });
+    res.on('close', resolve);
+    stream.pipe(res);
+  });
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  UPLOAD_RULES,
+  UploadError,
+  handleUpload,
+  verifyFileSignature,
+  checksumFile,
+  getAssetPath,
+  removeFile,
+  streamAsset
+};
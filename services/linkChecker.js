@@ -0,0 +1,188 @@
+// services/linkChecker.js
+// Periodic check of each live product's external downloadUrl / previewUrl / imageUrl, so broken links are
+// caught before users spend a download on them. Results and the failure streak are stored on Product.linkHealth;
+// after LINK_CHECK_FAILURE_THRESHOLD failed checks in a row the product is flagged or taken offline.
+const Product = require('../models/Product');
+const { applyStatusChange } = require('./productWorkflow');
+
+const LINK_FIELDS = ['downloadUrl', 'previewUrl', 'imageUrl'];
+const LINK_CHECK_ACTIONS = ['flag', 'deactivate'];
+
+// Defaults; every option can also be passed to checkAllLinks / startLinkChecker
+const DEFAULT_OPTIONS = {
+  timeoutMs: parseInt(process.env.LINK_CHECK_TIMEOUT_MS) || 10000,
+  concurrency: parseInt(process.env.LINK_CHECK_CONCURRENCY) || 5,
+  failureThreshold: parseInt(process.env.LINK_CHECK_FAILURE_THRESHOLD) || 3,
+  action: LINK_CHECK_ACTIONS.includes(process.env.LINK_CHECK_ACTION) ? process.env.LINK_CHECK_ACTION : 'flag',
+  intervalMinutes: parseInt(process.env.LINK_CHECK_INTERVAL_MINUTES) || 360,
+  fetch: (...args) => fetch(...args)
+};
+
+const isExternalUrl = (url) => /^https?:\/\//i.test(url || '');
+
+// HEAD the URL; servers that don't allow HEAD get a one-byte ranged GET instead.
+// Resolves to { ok, statusCode, error } and never throws.
+const checkUrl = async (url, { timeoutMs = DEFAULT_OPTIONS.timeoutMs, fetch: fetchImpl = DEFAULT_OPTIONS.fetch } = {}) => {
+  const request = async (method) => {
+    const response = await fetchImpl(url, {
+      method,
+      redirect: 'follow',
+      headers: method === 'GET' ? { Range: 'bytes=0-0' } : {},
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (method === 'GET' && response.body) {
+      response.body.cancel().catch(() => {});
+    }
+    return response;
+  };
+
+  try {
+    let response = await request('HEAD');
+    if (response.status === 405 || response.status === 501) {
+      response = await request('GET');
+    }
+    return response.ok
+      ? { ok: true, statusCode: response.status }
+      : { ok: false, statusCode: response.status, error: `HTTP ${response.status}` };
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    return { ok: false, error: timedOut ? `Timed out after ${timeoutMs}ms` : (error.cause?.code || error.cause?.message || error.message) };
+  }
+};
+
+// Run fn over items with at most `limit` calls in flight
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+};
+
+// Work out the new linkHealth for a product from this run's link results
+const nextLinkHealth = (previous = {}, links, now, failureThreshold) => {
+  const failed = links.some(link => !link.ok);
+  const failureStreak = failed ? (previous.failureStreak || 0) + 1 : 0;
+
+  return {
+    status: !failed ? 'ok' : (failureStreak >= failureThreshold ? 'broken' : 'failing'),
+    checkedAt: now,
+    failureStreak,
+    failingSince: failed ? (previous.failingSince || now) : undefined,
+    // Once acted on, keep the marker until the links work again (a deactivated product stays archived
+    // until an admin republishes it; the marker tells them why it went offline)
+    action: failed ? (previous.action || null) : null,
+    links
+  };
+};
+
+// Take a broken product offline through the publishing workflow so the change shows in its status history
+const deactivateProduct = async (productId, links) => {
+  const product = await Product.findById(productId);
+  if (!product || !product.isActive) return false;
+
+  const reasons = links.filter(link => !link.ok).map(link => `${link.field} (${link.error})`).join(', ');
+  applyStatusChange(product, { status: 'archived', note: `Broken links: ${reasons}`.slice(0, 500) }, 'link-checker');
+  await product.save();
+  return true;
+};
+
+// Check every live product (plus ones the checker acted on earlier, so they can recover).
+// Returns { checked, ok, failing, broken, flagged, deactivated }.
+const checkAllLinks = async (overrides = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const now = new Date();
+
+  const products = await Product.find({
+    $or: [{ isActive: true }, { 'linkHealth.action': { $ne: null } }]
+  }).select(`title ${LINK_FIELDS.join(' ')} isActive linkHealth`).lean();
+
+  const tasks = [];
+  products.forEach(product => {
+    LINK_FIELDS.forEach(field => {
+      if (isExternalUrl(product[field])) tasks.push({ product, field, url: product[field] });
+    });
+  });
+
+  const results = await mapWithConcurrency(tasks, options.concurrency, async (task) => ({
+    productId: task.product._id.toString(),
+    field: task.field,
+    ...(await checkUrl(task.url, options))
+  }));
+
+  const byProduct = new Map();
+  results.forEach(({ productId, ...link }) => {
+    if (!byProduct.has(productId)) byProduct.set(productId, []);
+    byProduct.get(productId).push(link);
+  });
+
+  const summary = { checked: 0, ok: 0, failing: 0, broken: 0, flagged: 0, deactivated: 0 };
+
+  for (const product of products) {
+    const links = byProduct.get(product._id.toString());
+    if (!links) continue;
+
+    const linkHealth = nextLinkHealth(product.linkHealth, links, now, options.failureThreshold);
+    summary.checked++;
+    summary[linkHealth.status]++;
+
+    try {
+      if (linkHealth.status === 'broken' && !linkHealth.action) {
+        if (options.action === 'deactivate' && await deactivateProduct(product._id, links)) {
+          linkHealth.action = 'deactivated';
+          summary.deactivated++;
+          console.log(`🔗 ${product.title} deactivated after ${linkHealth.failureStreak} failed link checks`);
+        } else {
+          linkHealth.action = 'flagged';
+          summary.flagged++;
+          console.log(`🔗 ${product.title} flagged after ${linkHealth.failureStreak} failed link checks`);
+        }
+      }
+
+      // Direct update: the product's other fields (and its pre-save hooks) are untouched
+      await Product.updateOne({ _id: product._id }, { $set: { linkHealth } });
+    } catch (error) {
+      console.error(`❌ Failed to record link check for ${product.title}:`, error.message);
+    }
+  }
+
+  console.log(`🔗 Link check: ${tasks.length} URL(s) on ${summary.checked} product(s), ${summary.failing} failing, ${summary.broken} broken`);
+  return summary;
+};
+
+let jobRunning = false;
+
+// Returns the summary, or null when a check is already in progress
+const runLinkCheck = async (options) => {
+  if (jobRunning) return null;
+  jobRunning = true;
+  try {
+    return await checkAllLinks(options);
+  } finally {
+    jobRunning = false;
+  }
+};
+
+// First run after a short delay, then every LINK_CHECK_INTERVAL_MINUTES; started from server.js
+const startLinkChecker = (overrides = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const run = () => runLinkCheck(options).catch(error => console.error('❌ Link check failed:', error.message));
+  setTimeout(run, 30 * 1000).unref();
+  setInterval(run, options.intervalMinutes * 60 * 1000).unref();
+};
+
+module.exports = {
+  LINK_FIELDS,
+  LINK_CHECK_ACTIONS,
+  DEFAULT_OPTIONS,
+  checkUrl,
+  nextLinkHealth,
+  checkAllLinks,
+  runLinkCheck,
+  startLinkChecker
+};
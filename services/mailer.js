@@ -0,0 +1,131 @@
+// services/mailer.js
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { renderTemplate } = require('./emailTemplates');
+
+// MAIL_DRIVER: 'smtp' | 'file' (alias 'json') | 'console'
+// Defaults to smtp when credentials are configured, otherwise console (no real server needed)
+const resolveDriver = () => {
+  const driver = (process.env.MAIL_DRIVER || '').toLowerCase();
+  if (driver === 'json') return 'file';
+  if (['smtp', 'file', 'console'].includes(driver)) return driver;
+  if (driver) {
+    console.warn(`⚠️  Unknown MAIL_DRIVER "${driver}", falling back to console`);
+    return 'console';
+  }
+  return process.env.EMAIL_USER && process.env.EMAIL_PASS ? 'smtp' : 'console';
+};
+
+const MAIL_DRIVER = resolveDriver();
+const OUTBOX_DIR = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox'));
+
+const defaultFrom = () => `"${process.env.COMPANY_NAME || 'EnvatoClone'}" <${process.env.MAIL_FROM || process.env.EMAIL_USER || 'no-reply@localhost'}>`;
+
+const createTransporter = () => {
+  if (MAIL_DRIVER === 'smtp') {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    return nodemailer.createTransport({
+      service: process.env.SMTP_HOST ? undefined : (process.env.SMTP_SERVICE || 'gmail'),
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: {
+        user: process.env.SMTP_USER || process.env.EMAIL_USER,
+        pass: process.env.SMTP_PASS || process.env.EMAIL_PASS
+      },
+      debug: process.env.SMTP_DEBUG === 'true',
+      logger: process.env.SMTP_DEBUG === 'true'
+    });
+  }
+
+  // file + console drivers: nodemailer builds the message, we decide where it goes
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+const transporter = createTransporter();
+
+// Write a built message to the outbox directory (file driver)
+const writeToOutbox = (message) => {
+  fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+  const fileName = `${Date.now()}-${message.messageId.replace(/[<>]/g, '').replace(/[^\w.-]/g, '_')}.json`;
+  const filePath = path.join(OUTBOX_DIR, fileName);
+  fs.writeFileSync(filePath, JSON.stringify(message, null, 2));
+  return filePath;
+};
+
+const deliver = async (mailOptions) => {
+  const info = await transporter.sendMail({ from: defaultFrom(), ...mailOptions });
+
+  if (MAIL_DRIVER === 'smtp') return info;
+
+  const message = { ...JSON.parse(info.message), messageId: info.messageId };
+
+  if (MAIL_DRIVER === 'file') {
+    info.outboxFile = writeToOutbox(message);
+    console.log(`📁 Email written to outbox: ${info.outboxFile}`);
+  } else {
+    console.log('📭 [console mail driver]', JSON.stringify({
+      to: mailOptions.to,
+      subject: mailOptions.subject,
+      text: mailOptions.text
+    }, null, 2));
+  }
+
+  return info;
+};
+
+// Send email with retry logic
+const sendEmailWithRetry = async (mailOptions, retries = 3) => {
+  for (let i = 0; i < retries; i++) {
+    try {
+      console.log(`📤 Sending email attempt ${i + 1} (${MAIL_DRIVER})...`);
+      const info = await deliver(mailOptions);
+      console.log(`✅ Email sent successfully: ${info.messageId}`);
+      return info;
+    } catch (error) {
+      console.error(`❌ Email attempt ${i + 1} failed:`, error.message);
+
+      if (i === retries - 1) {
+        console.error('❌ All email attempts failed');
+        throw error;
+      }
+
+      // Wait before retry
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+  }
+};
+
+// Render a named template and send it
+// options: { to, language, data, retries }
+const sendTemplate = async (templateName, { to, language, data = {}, retries } = {}) => {
+  const { subject, html, text } = renderTemplate(templateName, language, data);
+  return sendEmailWithRetry({ to, subject, html, text }, retries);
+};
+
+// Check SMTP connectivity on startup (no-op for file/console drivers)
+const verifyConnection = async () => {
+  if (MAIL_DRIVER !== 'smtp') {
+    console.log(`📭 Mail driver: ${MAIL_DRIVER}${MAIL_DRIVER === 'file' ? ` (${OUTBOX_DIR})` : ''}`);
+    return true;
+  }
+
+  try {
+    await transporter.verify();
+    console.log('✅ Email server is ready');
+    console.log(`📧 Email configured for: ${process.env.SMTP_USER || process.env.EMAIL_USER}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Email configuration error:', error.message);
+    console.log('💡 Check SMTP_* / EMAIL_USER / EMAIL_PASS, or set MAIL_DRIVER=console for local development');
+    return false;
+  }
+};
+
+module.exports = {
+  MAIL_DRIVER,
+  sendEmailWithRetry,
+  sendTemplate,
+  verifyConnection
+};
@@ -0,0 +1,83 @@
+// services/productTrash.js
+// Deleted products go to the trash first and are purged for good after TRASH_RETENTION_DAYS.
+const Product = require('../models/Product');
+const Asset = require('../models/Asset');
+const Download = require('../models/Download');
+const Notification = require('../models/Notification');
+const Review = require('../models/Review');
+const Favorite = require('../models/Favorite');
+const Collection = require('../models/Collection');
+const RelatedProducts = require('../models/RelatedProducts');
+const { getAssetPath, removeFile } = require('./fileStorage');
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const retentionCutoff = (now = new Date()) =>
+  new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// When a trashed product becomes eligible for purging
+const purgeDate = (product) => product.deletedAt
+  ? new Date(new Date(product.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  : null;
+
+// Delete a purged product's uploaded files (package, image, older releases' packages)
+// unless another product still uses them - same check as DELETE /api/uploads/:id
+const releaseAssets = async (product) => {
+  const assetIds = [product.packageAsset, product.imageAsset, ...(product.releases || []).map(release => release.packageAsset)]
+    .filter(Boolean)
+    .map(id => id.toString());
+
+  for (const assetId of new Set(assetIds)) {
+    if (await Product.countAssetUsage(assetId) > 0) continue;
+    const asset = await Asset.findByIdAndDelete(assetId);
+    if (asset) await removeFile(getAssetPath(asset));
+  }
+};
+
+// Permanently remove trashed products and their unused uploads. Download records keep the product title.
+const purgeProducts = async (products) => {
+  for (const product of products) {
+    await Download.updateMany(
+      { productId: product._id, productTitle: { $exists: false } },
+      { $set: { productTitle: product.title } }
+    );
+    await Notification.deleteMany({ productId: product._id });
+    await Review.deleteMany({ productId: product._id });
+    await Favorite.deleteMany({ productId: product._id });
+    await Collection.updateMany({ 'items.productId': product._id }, { $pull: { items: { productId: product._id } } });
+    await RelatedProducts.deleteOne({ productId: product._id });
+    await Product.deleteOne({ _id: product._id });
+    await releaseAssets(product);
+  }
+  return products.length;
+};
+
+// Purge everything that has been in the trash longer than the retention period
+const purgeExpiredTrash = async () => {
+  const expired = await Product.find({ deletedAt: { $ne: null, $lte: retentionCutoff() } })
+    .select('title deletedAt packageAsset imageAsset releases.packageAsset');
+
+  const purged = await purgeProducts(expired);
+  if (purged > 0) {
+    console.log(`🗑️  Purged ${purged} product(s) from the trash (older than ${TRASH_RETENTION_DAYS} days)`);
+  }
+  return purged;
+};
+
+// Run the purge now and then periodically; started from server.js once MongoDB is connected
+const startTrashPurge = () => {
+  const run = () => purgeExpiredTrash()
+    .catch(error => console.error('❌ Trash purge failed:', error.message));
+
+  run();
+  setInterval(run, TRASH_PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  retentionCutoff,
+  purgeDate,
+  purgeExpiredTrash,
+  startTrashPurge
+};
@@ -0,0 +1,135 @@
+// services/productUpdates.js
+// Tell users who downloaded a product that it changed (new version or replaced file):
+// an in-app Notification for everyone, plus an email when preferences.downloadNotifications is on.
+const mongoose = require('mongoose');
+const Download = require('../models/Download');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Notification = require('../models/Notification');
+const mailer = require('./mailer');
+
+const productUrl = (product) => `${process.env.CLIENT_URL || 'http://localhost:3000'}/products/${product.slug || product._id}`;
+
+// reason: 'new_version' | 'file_updated'
+const notifyProductUpdate = async (product, { reason = 'new_version', previousVersion } = {}) => {
+  const userIds = await Download.distinct('userId', { productId: product._id });
+  if (userIds.length === 0) return { notified: 0, emailed: 0 };
+
+  const release = product.findRelease();
+  const title = reason === 'file_updated'
+    ? `${product.title} has been updated`
+    : `${product.title} ${product.version} is available`;
+  const message = reason === 'file_updated'
+    ? `The download for ${product.title} was updated. Download it again to get the latest file.`
+    : `A new version of ${product.title} (${previousVersion ? `${previousVersion} → ` : ''}${product.version}) is available.`;
+
+  await Notification.insertMany(userIds.map(userId => ({
+    userId,
+    type: 'product_update',
+    title,
+    message,
+    productId: product._id,
+    data: { reason, version: product.version, previousVersion }
+  })), { ordered: false });
+
+  const recipients = await User.find({
+    _id: { $in: userIds },
+    isVerified: true,
+    isSuspended: { $ne: true },
+    'preferences.downloadNotifications': true
+  }).select('name email preferences.language').lean();
+
+  // Sequential on purpose: a large product shouldn't open hundreds of SMTP connections at once
+  let emailed = 0;
+  for (const user of recipients) {
+    try {
+      await mailer.sendTemplate('productUpdate', {
+        to: user.email,
+        language: user.preferences?.language,
+        data: {
+          name: user.name,
+          productTitle: product.title,
+          version: product.version,
+          previousVersion,
+          releaseNotes: release && release.releaseNotes,
+          productUrl: productUrl(product),
+          reason
+        },
+        retries: 1
+      });
+      emailed++;
+    } catch (error) {
+      console.error(`❌ Failed to send product update email to ${user.email}:`, error.message);
+    }
+  }
+
+  console.log(`🔔 ${product.title} ${product.version} (${reason}): ${userIds.length} user(s) notified, ${emailed} emailed`);
+  return { notified: userIds.length, emailed };
+};
+
+// Fire-and-forget wrapper for request handlers
+const queueProductUpdate = (product, options) => {
+  notifyProductUpdate(product, options)
+    .catch(error => console.error('❌ Product update notification failed:', error.message));
+};
+
+// Downloaded products that have a newer current release than the one the user got.
+// Downloads recorded before versions were tracked are compared by date instead.
+const getAvailableUpdates = async (userId) => {
+  const downloaded = await Download.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $group: {
+        _id: '$productId',
+        versions: { $addToSet: '$version' },
+        lastDownloadedAt: { $max: '$downloadDate' }
+    }}
+  ]);
+  if (downloaded.length === 0) return [];
+
+  const products = await Product.find({
+    _id: { $in: downloaded.map(entry => entry._id) },
+    ...Product.publicFilter()
+  }).select('title slug category imageUrl version releases createdAt downloadUrl packageAsset');
+
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  return downloaded.reduce((updates, entry) => {
+    const product = byId.get(entry._id.toString());
+    if (!product) return updates;
+
+    const current = product.findRelease();
+    if (!current) return updates;
+
+    const knownVersions = entry.versions.filter(Boolean);
+    const latestDownloaded = knownVersions
+      .sort((a, b) => (Product.versionToNumber(b) || 0) - (Product.versionToNumber(a) || 0))[0];
+
+    const hasUpdate = latestDownloaded
+      ? (Product.versionToNumber(current.version) || 0) > (Product.versionToNumber(latestDownloaded) || 0)
+      : current.releasedAt && new Date(current.releasedAt) > new Date(entry.lastDownloadedAt);
+
+    if (hasUpdate) {
+      updates.push({
+        product: {
+          id: product._id,
+          title: product.title,
+          slug: product.slug,
+          category: product.category,
+          imageUrl: product.imageUrl
+        },
+        downloadedVersion: latestDownloaded || null,
+        latestVersion: current.version,
+        releasedAt: current.releasedAt,
+        releaseNotes: current.releaseNotes,
+        lastDownloadedAt: entry.lastDownloadedAt
+      });
+    }
+    return updates;
+  }, []).sort((a, b) => new Date(b.releasedAt) - new Date(a.releasedAt));
+};
+
+module.exports = {
+  notifyProductUpdate,
+  queueProductUpdate,
+  getAvailableUpdates
+};
@@ -0,0 +1,94 @@
+// services/productWorkflow.js
+// Publishing workflow: draft -> in_review -> scheduled / published -> archived.
+// Every change is recorded in product.statusHistory (who, when, from/to, schedule, note).
+const Product = require('../models/Product');
+
+const STATUS_TRANSITIONS = {
+  draft: ['in_review', 'scheduled', 'published', 'archived'],
+  in_review: ['draft', 'scheduled', 'published', 'archived'],
+  scheduled: ['draft', 'published', 'archived'],
+  published: ['draft', 'archived'],
+  archived: ['draft', 'published']
+};
+
+class WorkflowError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.status = status;
+  }
+}
+
+// undefined = not given, null/'' = clear, anything else must be a valid date
+const parseScheduleDate = (value, field) => {
+  if (typeof value === 'undefined') return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new WorkflowError(400, `Invalid ${field} date`);
+  }
+  return date;
+};
+
+// Change a product's status and/or schedule in memory (the caller saves).
+// changes: { status, publishAt, unpublishAt, note }. Keeping the same status only updates the schedule;
+// if nothing changes, nothing is recorded and `changed` is false.
+const applyStatusChange = (product, changes, changedBy = 'admin') => {
+  const now = new Date();
+  const from = product.status || null;
+  const to = changes.status || from || 'draft';
+
+  if (!Product.PRODUCT_STATUSES.includes(to)) {
+    throw new WorkflowError(400, `Status must be one of: ${Product.PRODUCT_STATUSES.join(', ')}`);
+  }
+  if (from && from !== to && !STATUS_TRANSITIONS[from].includes(to)) {
+    throw new WorkflowError(409, `Cannot move a product from ${from} to ${to}. Allowed: ${STATUS_TRANSITIONS[from].join(', ')}`);
+  }
+
+  const requestedPublishAt = parseScheduleDate(changes.publishAt, 'publishAt');
+  const requestedUnpublishAt = parseScheduleDate(changes.unpublishAt, 'unpublishAt');
+  let publishAt = requestedPublishAt !== undefined ? requestedPublishAt : product.publishAt;
+  const unpublishAt = requestedUnpublishAt !== undefined ? requestedUnpublishAt : product.unpublishAt;
+
+  const time = (date) => (date ? new Date(date).getTime() : null);
+  if (from === to && time(publishAt) === time(product.publishAt) && time(unpublishAt) === time(product.unpublishAt)) {
+    return { from, to, changed: false };
+  }
+
+  if (to === 'scheduled' && (!publishAt || publishAt <= now)) {
+    throw new WorkflowError(400, 'Scheduling requires a publishAt date in the future');
+  }
+  if (to === 'published') {
+    if (requestedPublishAt && requestedPublishAt > now) {
+      throw new WorkflowError(400, 'publishAt is in the future; use the scheduled status instead');
+    }
+    // Going live now unless an earlier go-live date was given
+    if (from !== 'published' || !publishAt) {
+      publishAt = requestedPublishAt || now;
+    }
+  }
+  if (unpublishAt && unpublishAt <= (publishAt && publishAt > now ? publishAt : now)) {
+    throw new WorkflowError(400, 'unpublishAt must be after the product goes live');
+  }
+
+  product.status = to;
+  product.publishAt = publishAt || null;
+  product.unpublishAt = unpublishAt || null;
+  product.statusHistory.push({
+    from,
+    to,
+    changedBy,
+    changedAt: now,
+    note: changes.note,
+    publishAt: product.publishAt || undefined,
+    unpublishAt: product.unpublishAt || undefined
+  });
+
+  return { from, to, changed: true };
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  WorkflowError,
+  applyStatusChange
+};
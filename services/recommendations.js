@@ -0,0 +1,269 @@
+// services/recommendations.js
+// Related products and personal recommendations.
+// Product similarity blends co-downloads (cosine over the users who downloaded each product) with
+// tag overlap (Jaccard) and category closeness. A periodic job stores the top matches per product
+// in RelatedProducts, so requests only read precomputed lists.
+const Product = require('../models/Product');
+const Download = require('../models/Download');
+const Favorite = require('../models/Favorite');
+const Category = require('../models/Category');
+const RelatedProducts = require('../models/RelatedProducts');
+
+const RELATED_LIMIT = parseInt(process.env.RELATED_PRODUCTS_LIMIT) || 20;
+const WINDOW_DAYS = parseInt(process.env.RECOMMENDATION_WINDOW_DAYS) || 365;
+const REFRESH_MINUTES = parseInt(process.env.RECOMMENDATION_REFRESH_MINUTES) || 60;
+const WEIGHTS = { coDownload: 0.6, tags: 0.25, category: 0.15 };
+
+const CARD_FIELDS = 'title slug category imageUrl previewUrl version featured downloads rating tags';
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+const topLevelCategory = (slug) => {
+  const lineage = Category.getLineage(slug);
+  return lineage.length > 0 ? lineage[lineage.length - 1].slug : slug;
+};
+
+// 1 = same category, 0.5 = same top-level category (e.g. two kinds of themes)
+const categoryScore = (a, b) => {
+  if (a === b) return 1;
+  return topLevelCategory(a) === topLevelCategory(b) ? 0.5 : 0;
+};
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const tag of a) if (b.has(tag)) shared++;
+  return shared / (a.size + b.size - shared);
+};
+
+// Rebuild RelatedProducts for every published product
+const computeRelatedProducts = async () => {
+  const startedAt = new Date();
+  const products = await Product.find(Product.publicFilter()).select('_id category tags').lean();
+  const byId = new Map(products.map(product => [product._id.toString(), {
+    id: product._id,
+    category: product.category,
+    topCategory: topLevelCategory(product.category),
+    tags: new Set(product.tags || [])
+  }]));
+
+  // Users per product and users per pair of products
+  const userCounts = new Map();
+  const pairCounts = new Map();
+  const since = new Date(Date.now() - WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  for await (const { products: productIds } of Download.getCoDownloadSets(since)) {
+    const ids = productIds.map(String).filter(id => byId.has(id));
+    ids.forEach(id => userCounts.set(id, (userCounts.get(id) || 0) + 1));
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const key = pairKey(ids[i], ids[j]);
+        pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  // Candidates: products downloaded together, sharing a tag, or in the same top-level category
+  const coPartners = new Map();
+  for (const key of pairCounts.keys()) {
+    const [a, b] = key.split('|');
+    if (!coPartners.has(a)) coPartners.set(a, []);
+    if (!coPartners.has(b)) coPartners.set(b, []);
+    coPartners.get(a).push(b);
+    coPartners.get(b).push(a);
+  }
+  const groups = new Map();
+  const groupKeys = (product) => [`category:${product.topCategory}`, ...[...product.tags].map(tag => `tag:${tag}`)];
+  for (const [id, product] of byId) {
+    for (const key of groupKeys(product)) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(id);
+    }
+  }
+
+  const operations = [];
+  for (const [id, product] of byId) {
+    const candidates = new Set(coPartners.get(id) || []);
+    groupKeys(product).forEach(key => groups.get(key).forEach(otherId => candidates.add(otherId)));
+    candidates.delete(id);
+
+    const related = [...candidates].map(otherId => {
+      const other = byId.get(otherId);
+      const coDownloads = pairCounts.get(pairKey(id, otherId)) || 0;
+      const coScore = coDownloads > 0 ? coDownloads / Math.sqrt(userCounts.get(id) * userCounts.get(otherId)) : 0;
+      const tagScore = jaccard(product.tags, other.tags);
+      const catScore = categoryScore(product.category, other.category);
+
+      const reasons = [];
+      if (coDownloads > 0) reasons.push('downloaded_together');
+      if (tagScore > 0) reasons.push('shared_tags');
+      if (catScore > 0) reasons.push('same_category');
+
+      return {
+        productId: other.id,
+        score: Math.round((WEIGHTS.coDownload * coScore + WEIGHTS.tags * tagScore + WEIGHTS.category * catScore) * 10000) / 10000,
+        coDownloads,
+        reasons
+      };
+    })
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || b.coDownloads - a.coDownloads)
+      .slice(0, RELATED_LIMIT);
+
+    operations.push({
+      updateOne: {
+        filter: { productId: product.id },
+        update: { $set: { related, computedAt: startedAt } },
+        upsert: true
+      }
+    });
+  }
+
+  for (let i = 0; i < operations.length; i += 500) {
+    await RelatedProducts.bulkWrite(operations.slice(i, i + 500), { ordered: false });
+  }
+  // Products that are no longer published
+  await RelatedProducts.deleteMany({ computedAt: { $lt: startedAt } });
+
+  console.log(`🧭 Related products computed for ${byId.size} product(s) in ${Date.now() - startedAt.getTime()}ms`);
+  return { products: byId.size, pairs: pairCounts.size };
+};
+
+let jobRunning = false;
+
+const runRecommendationJob = async () => {
+  if (jobRunning) return;
+  jobRunning = true;
+  try {
+    await computeRelatedProducts();
+  } catch (error) {
+    console.error('❌ Recommendation job failed:', error.message);
+  } finally {
+    jobRunning = false;
+  }
+};
+
+// First run shortly after startup, then every RECOMMENDATION_REFRESH_MINUTES; started from server.js
+const startRecommendationJob = () => {
+  setTimeout(runRecommendationJob, 10 * 1000).unref();
+  setInterval(runRecommendationJob, REFRESH_MINUTES * 60 * 1000).unref();
+};
+
+// Published products by ID, in the order of `ids`
+const loadCards = async (ids) => {
+  if (ids.length === 0) return [];
+  const products = await Product.find({ _id: { $in: ids }, ...Product.publicFilter() })
+    .select(CARD_FIELDS)
+    .lean();
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+  return ids.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+// Related products for a product page. Products without precomputed results yet (e.g. new ones)
+// get same-category / shared-tag products, most downloaded first.
+const getRelatedProducts = async (product, limit = 8) => {
+  const entry = await RelatedProducts.findOne({ productId: product._id }).lean();
+  const matches = entry ? entry.related : [];
+  const matchById = new Map(matches.map(match => [match.productId.toString(), match]));
+
+  const related = (await loadCards(matches.map(match => match.productId))).slice(0, limit).map(card => {
+    const match = matchById.get(card._id.toString());
+    return { ...card, score: match.score, coDownloads: match.coDownloads, reasons: match.reasons };
+  });
+
+  if (related.length < limit) {
+    const exclude = [product._id, ...related.map(card => card._id)];
+    const fallback = await Product.find({
+      ...Product.publicFilter(),
+      _id: { $nin: exclude },
+      $or: [
+        { tags: { $in: product.tags || [] } },
+        { category: { $in: Category.getDescendantSlugs(topLevelCategory(product.category), { activeOnly: true }) } }
+      ]
+    })
+      .sort({ downloads: -1, createdAt: -1 })
+      .limit(limit - related.length)
+      .select(CARD_FIELDS)
+      .lean();
+
+    const tags = new Set(product.tags || []);
+    related.push(...fallback.map(card => ({
+      ...card,
+      score: null,
+      coDownloads: 0,
+      reasons: [
+        ...((card.tags || []).some(tag => tags.has(tag)) ? ['shared_tags'] : []),
+        ...(categoryScore(product.category, card.category) > 0 ? ['same_category'] : [])
+      ]
+    })));
+  }
+
+  return { related, computedAt: entry ? entry.computedAt : null };
+};
+
+// Personal recommendations: products related to what the user downloaded or favorited,
+// excluding anything they already downloaded. New users get popular products.
+const getRecommendationsForUser = async (userId, limit = 12) => {
+  const [downloadedIds, favorites] = await Promise.all([
+    Download.distinct('productId', { userId }),
+    Favorite.find({ userId }).select('productId').lean()
+  ]);
+
+  const owned = new Set(downloadedIds.map(String));
+  const seeds = [...new Set([...owned, ...favorites.map(favorite => favorite.productId.toString())])];
+
+  const entries = seeds.length > 0
+    ? await RelatedProducts.find({ productId: { $in: seeds } }).lean()
+    : [];
+
+  // Sum similarity over every seed a candidate is related to
+  const scores = new Map();
+  for (const entry of entries) {
+    for (const match of entry.related) {
+      const id = match.productId.toString();
+      if (owned.has(id)) continue;
+      const current = scores.get(id) || { score: 0, because: [] };
+      current.score += match.score;
+      current.because.push(entry.productId.toString());
+      scores.set(id, current);
+    }
+  }
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1].score - a[1].score).map(([id]) => id);
+  const cards = (await loadCards(ranked.slice(0, limit * 2))).slice(0, limit);
+
+  const seedTitles = new Map((await Product.find({ _id: { $in: seeds } }).select('title').lean())
+    .map(product => [product._id.toString(), product.title]));
+
+  const recommendations = cards.map(card => {
+    const { score, because } = scores.get(card._id.toString());
+    return {
+      ...card,
+      score: Math.round(score * 10000) / 10000,
+      reason: 'related',
+      because: because.slice(0, 3).map(id => ({ id, title: seedTitles.get(id) })).filter(seed => seed.title)
+    };
+  });
+
+  if (recommendations.length < limit) {
+    const popular = await Product.find({
+      ...Product.publicFilter(),
+      _id: { $nin: [...owned, ...recommendations.map(card => card._id.toString())] }
+    })
+      .sort({ featured: -1, 'trending.d7': -1, downloads: -1 })
+      .limit(limit - recommendations.length)
+      .select(CARD_FIELDS)
+      .lean();
+
+    recommendations.push(...popular.map(card => ({ ...card, score: null, reason: 'popular', because: [] })));
+  }
+
+  return recommendations;
+};
+
+module.exports = {
+  computeRelatedProducts,
+  startRecommendationJob,
+  getRelatedProducts,
+  getRecommendationsForUser
+};
@@ -0,0 +1,83 @@
+// services/trending.js
+// Trending scores: recent downloads with exponential time decay, so new activity outweighs the
+// lifetime `downloads` counter. Stored on Product.trending and refreshed every TRENDING_REFRESH_MINUTES.
+const Product = require('../models/Product');
+const Download = require('../models/Download');
+
+const HOUR = 60 * 60 * 1000;
+const REFRESH_MINUTES = parseInt(process.env.TRENDING_REFRESH_MINUTES) || 15;
+
+// window -> Product.trending field, how far back to look, and how fast a download loses weight
+const TRENDING_WINDOWS = {
+  '24h': { field: 'h24', windowMs: 24 * HOUR, halfLifeMs: 6 * HOUR },
+  '7d': { field: 'd7', windowMs: 7 * 24 * HOUR, halfLifeMs: 36 * HOUR },
+  '30d': { field: 'd30', windowMs: 30 * 24 * HOUR, halfLifeMs: 7 * 24 * HOUR }
+};
+const DEFAULT_WINDOW = '7d';
+
+const trendingSort = (window = DEFAULT_WINDOW) => ({
+  [`trending.${(TRENDING_WINDOWS[window] || TRENDING_WINDOWS[DEFAULT_WINDOW]).field}`]: -1,
+  downloads: -1,
+  createdAt: -1
+});
+
+const computeTrendingScores = async () => {
+  const now = new Date();
+  const scores = new Map();
+
+  for (const { field, windowMs, halfLifeMs } of Object.values(TRENDING_WINDOWS)) {
+    const rows = await Download.getDecayedScores(now, windowMs, halfLifeMs);
+    for (const row of rows) {
+      const id = row._id.toString();
+      if (!scores.has(id)) scores.set(id, { h24: 0, d7: 0, d30: 0 });
+      scores.get(id)[field] = Math.round(row.score * 1000) / 1000;
+    }
+  }
+
+  const operations = [...scores.entries()].map(([id, trending]) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: { trending: { ...trending, updatedAt: now } } }
+    }
+  }));
+  for (let i = 0; i < operations.length; i += 500) {
+    await Product.bulkWrite(operations.slice(i, i + 500), { ordered: false });
+  }
+
+  // Products with no downloads in the last 30 days drop back to zero
+  await Product.updateMany(
+    { _id: { $nin: [...scores.keys()] }, 'trending.updatedAt': { $ne: null } },
+    { $set: { trending: { h24: 0, d7: 0, d30: 0, updatedAt: now } } }
+  );
+
+  console.log(`🔥 Trending scores updated for ${scores.size} product(s)`);
+  return scores.size;
+};
+
+let jobRunning = false;
+
+const runTrendingJob = async () => {
+  if (jobRunning) return;
+  jobRunning = true;
+  try {
+    await computeTrendingScores();
+  } catch (error) {
+    console.error('❌ Trending job failed:', error.message);
+  } finally {
+    jobRunning = false;
+  }
+};
+
+// Run now and then every TRENDING_REFRESH_MINUTES; started from server.js
+const startTrendingJob = () => {
+  runTrendingJob();
+  setInterval(runTrendingJob, REFRESH_MINUTES * 60 * 1000).unref();
+};
+
+module.exports = {
+  TRENDING_WINDOWS,
+  DEFAULT_WINDOW,
+  trendingSort,
+  computeTrendingScores,
+  startTrendingJob
+};
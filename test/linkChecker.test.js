@@ -0,0 +1,233 @@
+// test/linkChecker.test.js
+// services/linkChecker.js against a local stub HTTP server. Product reads/writes are stubbed in memory,
+// so no MongoDB is needed.
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const Product = require('../models/Product');
+const { checkUrl, checkAllLinks } = require('../services/linkChecker');
+
+let server;
+let baseUrl;
+let inFlight = 0;
+let maxInFlight = 0;
+const requests = [];
+
+// /ok 200, /missing 404, /no-head 405 for HEAD (200 for GET), /slow answers after 500ms, /busy after 30ms
+const startStubServer = () => new Promise(resolve => {
+  server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    const reply = (status) => {
+      res.writeHead(status);
+      res.end(req.method === 'GET' ? 'x' : undefined);
+    };
+
+    if (req.url === '/ok') return reply(200);
+    if (req.url === '/no-head') return reply(req.method === 'HEAD' ? 405 : 200);
+    if (req.url === '/slow') return setTimeout(() => reply(200), 500);
+    if (req.url.startsWith('/busy')) {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      return setTimeout(() => {
+        inFlight--;
+        reply(200);
+      }, 30);
+    }
+    reply(404);
+  });
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+});
+
+// In-memory stand-in for the Product queries checkAllLinks makes
+const originals = {};
+let store;
+
+const stubProducts = (products) => {
+  store = new Map(products.map(product => [product._id, product]));
+  Product.find = () => ({
+    select: () => ({ lean: async () => [...store.values()].filter(p => p.isActive || p.linkHealth?.action).map(p => structuredClone(p)) })
+  });
+  Product.updateOne = async (filter, update) => {
+    store.get(filter._id.toString()).linkHealth = structuredClone(update.$set.linkHealth);
+    return { modifiedCount: 1 };
+  };
+  Product.findById = async (id) => {
+    const stored = store.get(id.toString());
+    const product = Product.hydrate({ ...stored, category: 'themes', statusHistory: [] });
+    product.save = async () => {
+      stored.status = product.status;
+      stored.isActive = false;
+      stored.statusHistory = product.statusHistory.map(entry => entry.toObject());
+    };
+    return product;
+  };
+};
+
+const product = (id, fields) => ({
+  _id: id.toString().padStart(24, '0'),
+  title: `Product ${id}`,
+  status: 'published',
+  isActive: true,
+  ...fields
+});
+
+const quiet = { timeoutMs: 200, concurrency: 5, failureThreshold: 3 };
+
+describe('linkChecker', () => {
+  before(startStubServer);
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    ['find', 'updateOne', 'findById'].forEach(method => { originals[method] = Product[method]; });
+    requests.length = 0;
+    maxInFlight = 0;
+    // The checker logs every run; keep the test output readable
+    mock.method(console, 'log', () => {});
+  });
+  afterEach(() => {
+    Object.assign(Product, originals);
+    mock.restoreAll();
+  });
+
+  describe('checkUrl', () => {
+    it('reports a working URL', async () => {
+      assert.deepEqual(await checkUrl(`${baseUrl}/ok`, quiet), { ok: true, statusCode: 200 });
+      assert.deepEqual(requests, ['HEAD /ok']);
+    });
+
+    it('reports HTTP errors', async () => {
+      assert.deepEqual(await checkUrl(`${baseUrl}/missing`, quiet), { ok: false, statusCode: 404, error: 'HTTP 404' });
+    });
+
+    it('falls back to GET when HEAD is not allowed', async () => {
+      assert.deepEqual(await checkUrl(`${baseUrl}/no-head`, quiet), { ok: true, statusCode: 200 });
+      assert.deepEqual(requests, ['HEAD /no-head', 'GET /no-head']);
+    });
+
+    it('gives up after the timeout', async () => {
+      const startedAt = Date.now();
+      const result = await checkUrl(`${baseUrl}/slow`, { ...quiet, timeoutMs: 100 });
+      assert.deepEqual(result, { ok: false, error: 'Timed out after 100ms' });
+      assert.ok(Date.now() - startedAt < 450);
+    });
+
+    it('uses an injected fetch', async () => {
+      const calls = [];
+      const fetch = async (url, options) => {
+        calls.push(options.method);
+        return { ok: false, status: 503 };
+      };
+      assert.deepEqual(await checkUrl('https://example.test/file.zip', { fetch }), { ok: false, statusCode: 503, error: 'HTTP 503' });
+      assert.deepEqual(calls, ['HEAD']);
+    });
+  });
+
+  describe('checkAllLinks', () => {
+    it('records the status and check time of each external URL', async () => {
+      stubProducts([
+        product(1, { downloadUrl: `${baseUrl}/ok`, previewUrl: `${baseUrl}/no-head`, imageUrl: '/uploads/images/local.png' }),
+        product(2, { downloadUrl: `${baseUrl}/missing` })
+      ]);
+
+      const before = Date.now();
+      const summary = await checkAllLinks(quiet);
+
+      assert.equal(summary.checked, 2);
+      assert.equal(summary.ok, 1);
+      assert.equal(summary.failing, 1);
+
+      const healthy = store.get(product(1)._id).linkHealth;
+      assert.equal(healthy.status, 'ok');
+      assert.ok(healthy.checkedAt.getTime() >= before);
+      assert.deepEqual(healthy.links, [
+        { field: 'downloadUrl', ok: true, statusCode: 200 },
+        { field: 'previewUrl', ok: true, statusCode: 200 }
+      ]);
+
+      const failing = store.get(product(2)._id).linkHealth;
+      assert.equal(failing.status, 'failing');
+      assert.equal(failing.failureStreak, 1);
+      assert.deepEqual(failing.links, [{ field: 'downloadUrl', ok: false, statusCode: 404, error: 'HTTP 404' }]);
+    });
+
+    it('records a timed out URL as a failure', async () => {
+      stubProducts([product(1, { downloadUrl: `${baseUrl}/slow` })]);
+      await checkAllLinks({ ...quiet, timeoutMs: 100 });
+      assert.equal(store.get(product(1)._id).linkHealth.links[0].error, 'Timed out after 100ms');
+    });
+
+    it('keeps at most `concurrency` requests in flight', async () => {
+      stubProducts(Array.from({ length: 8 }, (_, i) => product(i + 1, { downloadUrl: `${baseUrl}/busy/${i}` })));
+      await checkAllLinks({ ...quiet, concurrency: 3 });
+      assert.equal(requests.length, 8);
+      assert.equal(maxInFlight, 3);
+    });
+
+    it('counts consecutive failures and resets the streak once the links work again', async () => {
+      stubProducts([product(1, { downloadUrl: `${baseUrl}/missing` })]);
+      const id = product(1)._id;
+
+      await checkAllLinks(quiet);
+      const firstFailure = store.get(id).linkHealth.failingSince;
+      await checkAllLinks(quiet);
+      assert.equal(store.get(id).linkHealth.failureStreak, 2);
+      assert.deepEqual(store.get(id).linkHealth.failingSince, firstFailure);
+
+      store.get(id).downloadUrl = `${baseUrl}/ok`;
+      await checkAllLinks(quiet);
+      const recovered = store.get(id).linkHealth;
+      assert.equal(recovered.status, 'ok');
+      assert.equal(recovered.failureStreak, 0);
+      assert.equal(recovered.failingSince, undefined);
+    });
+
+    it('flags a product after N consecutive failures and keeps it live', async () => {
+      stubProducts([product(1, { downloadUrl: `${baseUrl}/missing` })]);
+      const id = product(1)._id;
+
+      await checkAllLinks(quiet);
+      await checkAllLinks(quiet);
+      assert.equal(store.get(id).linkHealth.action, null);
+
+      const summary = await checkAllLinks(quiet);
+      assert.equal(summary.flagged, 1);
+      assert.equal(store.get(id).linkHealth.status, 'broken');
+      assert.equal(store.get(id).linkHealth.action, 'flagged');
+      assert.equal(store.get(id).status, 'published');
+
+      // Acted on once only
+      assert.equal((await checkAllLinks(quiet)).flagged, 0);
+      assert.equal(store.get(id).linkHealth.failureStreak, 4);
+    });
+
+    it('deactivates a product after N consecutive failures when configured to', async () => {
+      stubProducts([product(1, { downloadUrl: `${baseUrl}/missing` })]);
+      const id = product(1)._id;
+      const options = { ...quiet, failureThreshold: 2, action: 'deactivate' };
+
+      await checkAllLinks(options);
+      const summary = await checkAllLinks(options);
+
+      assert.equal(summary.deactivated, 1);
+      assert.equal(store.get(id).linkHealth.action, 'deactivated');
+      assert.equal(store.get(id).status, 'archived');
+      const [change] = store.get(id).statusHistory;
+      assert.equal(change.from, 'published');
+      assert.equal(change.to, 'archived');
+      assert.equal(change.changedBy, 'link-checker');
+      assert.match(change.note, /downloadUrl \(HTTP 404\)/);
+
+      // Still checked while archived, so the marker clears once the link is fixed
+      store.get(id).downloadUrl = `${baseUrl}/ok`;
+      await checkAllLinks(options);
+      assert.equal(store.get(id).linkHealth.status, 'ok');
+      assert.equal(store.get(id).linkHealth.action, null);
+    });
+  });
+});